@@ -34,6 +34,21 @@ const validateTask = (task) => {
     if (!task.id || !task.name) {
         throw new TaskValidationError('Task must have id and name properties', task);
     }
+};
+
+// Validates the whole task file with the shared schema from taskSchema.js
+const validateTaskFile = (taskList) => {
+    const issues = TaskSchema.checkTaskFile(taskList);
+    if (issues.length > 0) {
+        const error = new TaskValidationError(TaskSchema.formatIssues(issues), null);
+        error.issues = issues;
+        throw error;
+    }
+    return taskList;
+};
+
+// Tasks of type "error" always fail, for the error handling demo
+const simulateTaskFailure = (task) => {
     if (task.type === 'error') {
         throw new TaskProcessingError(
             `Cannot process task "${task.name}" - simulated error for demonstration`,
@@ -136,6 +151,7 @@ function processTaskCallback(task, callback) {
     setTimeout(() => {
         try {
             validateTask(task);
+            simulateTaskFailure(task);
             const duration = task.duration || 300;
             
             setTimeout(() => {
@@ -222,6 +238,7 @@ function processTaskPromise(task) {
     return new Promise((resolve, reject) => {
         try {
             validateTask(task);
+            simulateTaskFailure(task);
             const duration = task.duration || 300;
             
             setTimeout(() => {
@@ -287,6 +304,7 @@ async function runPromises() {
 
 async function processTaskAsync(task) {
     validateTask(task);
+    simulateTaskFailure(task);
     updateTaskStatus(task.id, 'processing');
     
     const duration = task.duration || 300;
@@ -571,11 +589,8 @@ async function init() {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        tasks = await response.json();
-        
-        if (!Array.isArray(tasks) || tasks.length === 0) {
-            throw new Error('Tasks data is not a valid array or is empty');
-        }
+        // Report every schema problem before anything renders or runs
+        tasks = validateTaskFile(await response.json());
         
         // Render tasks
         renderTasks();
@@ -1,6 +1,11 @@
 // Async Task Processing Demo
 // Shows callbacks, promises, and async/await
 
+const { createLogger } = require("./logger");
+
+// LOG_LEVEL and LOG_FORMAT select the level and format, e.g. LOG_LEVEL=silent
+const logger = createLogger();
+
 // Sample tasks
 const tasks = [
     { id: 1, name: "Process payment", duration: 500, shouldFail: false },
@@ -11,13 +16,34 @@ const tasks = [
     { id: 6, name: "Cache refresh", duration: 600, shouldFail: false }
 ];
 
+// Result record - same shape as the one returned by taskRunner.js
+function createResult(task, startedAt) {
+    let finishedAt = Date.now();
+    let duration = finishedAt - startedAt;
+    return {
+        id: task.id,
+        name: task.name,
+        type: task.type || null,
+        status: "completed",
+        startedAt,
+        finishedAt,
+        duration,
+        throttled: 0,
+        cached: false,
+        attempts: [{ attempt: 1, startedAt, finishedAt, duration, throttled: 0, error: null }],
+        output: null,
+        error: null
+    };
+}
+
 // Callback version - error first pattern
 function processTaskCallback(task, callback) {
+    let startedAt = Date.now();
     setTimeout(() => {
         if (task.shouldFail) {
             callback(new Error(`Task "${task.name}" failed`), null);
         } else {
-            callback(null, { taskId: task.id, taskName: task.name, status: "completed", duration: task.duration });
+            callback(null, createResult(task, startedAt));
         }
     }, task.duration);
 }
@@ -41,12 +67,13 @@ function processTasksCallbacks(tasks, callback) {
 
 // Promise version
 function processTaskPromise(task) {
+    let startedAt = Date.now();
     return new Promise((resolve, reject) => {
         setTimeout(() => {
             if (task.shouldFail) {
                 reject(new Error(`Task "${task.name}" failed`));
             } else {
-                resolve({ taskId: task.id, taskName: task.name, status: "completed", duration: task.duration });
+                resolve(createResult(task, startedAt));
             }
         }, task.duration);
     });
@@ -98,71 +125,71 @@ class TaskProcessingError extends Error {
 }
 
 function processTaskWithCustomError(task, callback) {
+    let startedAt = Date.now();
     setTimeout(() => {
         if (task.shouldFail) {
             let error = new TaskProcessingError(`Failed: "${task.name}"`, task.id, task.name);
             callback(error, null);
         } else {
-            callback(null, { taskId: task.id, taskName: task.name, status: "completed", duration: task.duration });
+            callback(null, createResult(task, startedAt));
         }
     }, task.duration);
 }
 
 // Run everything
 async function main() {
-    console.log("========================================");
-    console.log("Async Task Processing Demo");
-    console.log("========================================\n");
+    logger.info("========================================");
+    logger.info("Async Task Processing Demo");
+    logger.info("========================================\n");
 
     let validTasks = tasks.filter(t => !t.shouldFail).slice(0, 3);
 
     // Callbacks
-    console.log("--- Callbacks ---");
+    logger.info("--- Callbacks ---");
     processTasksCallbacks(validTasks, (error, results) => {
         if (error) {
-            console.error("Error:", error.message);
+            logger.error(`Error: ${error.message}`);
         } else {
-            console.log("Results:", results);
+            logger.info("Results", { results });
         }
     });
 
     await new Promise(resolve => setTimeout(resolve, 2000));
 
     // Promises
-    console.log("\n--- Promises ---");
+    logger.info("\n--- Promises ---");
     try {
         let results = await processTasksPromises(validTasks);
-        console.log("Results:", results);
+        logger.info("Results", { results });
     } catch (error) {
-        console.error("Error:", error.message);
+        logger.error(`Error: ${error.message}`);
     }
 
     // Async/Await
-    console.log("\n--- Async/Await ---");
+    logger.info("\n--- Async/Await ---");
     try {
         let results = await processTasksAsyncAwait(validTasks);
-        console.log("Results:", results);
+        logger.info("Results", { results });
     } catch (error) {
-        console.error("Error:", error.message);
+        logger.error(`Error: ${error.message}`);
     }
 
     // Promise.all
-    console.log("\n--- Promise.all() ---");
+    logger.info("\n--- Promise.all() ---");
     let allResult = await demonstratePromiseAll(validTasks);
-    console.log(`Completed ${allResult.results.length} tasks in ${allResult.duration}ms`);
+    logger.info(`Completed ${allResult.results.length} tasks in ${allResult.duration}ms`);
 
     // Promise.race
-    console.log("\n--- Promise.race() ---");
+    logger.info("\n--- Promise.race() ---");
     let raceResult = await demonstratePromiseRace(tasks.filter(t => !t.shouldFail).slice(0, 4));
-    console.log("Winner:", raceResult.winner.taskName, `(${raceResult.duration}ms)`);
+    logger.info(`Winner: ${raceResult.winner.name} (${raceResult.duration}ms)`);
 
     // Error handling
-    console.log("\n--- Error Handling ---");
+    logger.info("\n--- Error Handling ---");
     let errorTask = tasks.find(t => t.shouldFail);
     processTaskWithCustomError(errorTask, (error, result) => {
         if (error) {
-            console.error("Custom Error:", error.name, "-", error.message);
-            console.error("Task ID:", error.taskId);
+            logger.error(`Custom Error: ${error.name} - ${error.message}`, { taskId: error.taskId });
         }
     });
 
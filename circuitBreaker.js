@@ -0,0 +1,207 @@
+// ============================================================================
+// CIRCUIT BREAKERS
+// ============================================================================
+//
+// A circuit breaker stops sending work to a category of tasks that keeps
+// failing. It starts closed and counts consecutive failures; at the threshold
+// it opens and rejects every task until the cool-down has passed. It then
+// goes half-open and lets a limited number of trial tasks through: a
+// successful trial closes the circuit again, a failed one re-opens it.
+
+const EventEmitter = require('events');
+const { parseInterval } = require('./scheduler');
+const { clock } = require('./clock');
+
+const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+const DEFAULT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  cooldown: 30000,
+  halfOpenMax: 1
+};
+
+/**
+ * State machine for one key, e.g. one task type
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} key - Key the breaker guards
+   * @param {Object} [options] - Breaker settings
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number|string} [options.cooldown=30000] - Time the circuit stays open, in ms or as a duration such as "30s"
+   * @param {number} [options.halfOpenMax=1] - Trial tasks allowed at once while half-open
+   * @param {Function} [onStateChange] - Called with (breaker, previousState) after every transition
+   */
+  constructor(key, options = {}, onStateChange = () => {}) {
+    const settings = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+    if (!Number.isInteger(settings.failureThreshold) || settings.failureThreshold < 1) {
+      throw new Error('Circuit breaker failureThreshold must be a positive integer');
+    }
+    if (!Number.isInteger(settings.halfOpenMax) || settings.halfOpenMax < 1) {
+      throw new Error('Circuit breaker halfOpenMax must be a positive integer');
+    }
+
+    this.key = key;
+    this.failureThreshold = settings.failureThreshold;
+    this.cooldown = parseInterval(settings.cooldown);
+    this.halfOpenMax = settings.halfOpenMax;
+    this.onStateChange = onStateChange;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trials = 0;
+  }
+
+  /**
+   * Time at which an open circuit will let a trial task through
+   * @returns {number|null} Timestamp in ms, or null unless the circuit is open
+   */
+  get retryAt() {
+    return this.state === 'open' ? this.openedAt + this.cooldown : null;
+  }
+
+  /**
+   * Asks to start a task. Every admitted task must be followed by exactly
+   * one call to recordSuccess(), recordFailure() or release().
+   * @returns {boolean} True if the task may start, false if it must fail fast
+   */
+  tryAcquire() {
+    if (this.state === 'open') {
+      if (clock.now() < this.retryAt) {
+        return false;
+      }
+      this.transition('half-open');
+    }
+    if (this.state === 'half-open') {
+      if (this.trials >= this.halfOpenMax) {
+        return false;
+      }
+      this.trials++;
+    }
+    return true;
+  }
+
+  /**
+   * Records an admitted task that succeeded
+   */
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state === 'half-open') {
+      this.transition('closed');
+    }
+  }
+
+  /**
+   * Records an admitted task that failed
+   */
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half-open') {
+      this.transition('open');
+    } else if (this.state === 'closed' && this.failures >= this.failureThreshold) {
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Records an admitted task whose outcome says nothing about the guarded
+   * resource, e.g. one that was cancelled
+   */
+  release() {
+    if (this.state === 'half-open') {
+      this.trials = Math.max(0, this.trials - 1);
+    }
+  }
+
+  /**
+   * Plain snapshot of the breaker
+   * @returns {Object} { key, state, failures, failureThreshold, cooldown, openedAt, retryAt }
+   */
+  toJSON() {
+    return {
+      key: this.key,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      cooldown: this.cooldown,
+      openedAt: this.openedAt,
+      retryAt: this.retryAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.trials = 0;
+    if (state === 'open') {
+      this.openedAt = clock.now();
+    } else if (state === 'closed') {
+      this.openedAt = null;
+      this.failures = 0;
+    }
+    this.onStateChange(this, previous);
+  }
+}
+
+/**
+ * Circuit breakers keyed by task type. Emits `circuit:open`,
+ * `circuit:half-open` and `circuit:closed` with the breaker snapshot and
+ * the previous state whenever a breaker changes state.
+ */
+class CircuitBreakerRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.breakers = new Map();
+  }
+
+  /**
+   * Sets (or replaces) the breaker for a key, starting closed
+   * @param {string} key - Task type
+   * @param {Object} [options] - See CircuitBreaker
+   */
+  set(key, options = {}) {
+    if (typeof key !== 'string' || key === '') {
+      throw new Error('Circuit breaker key must be a non-empty string');
+    }
+    const breaker = new CircuitBreaker(key, options, (changed, previous) => {
+      this.emit(`circuit:${changed.state}`, { ...changed.toJSON(), previousState: previous });
+    });
+    this.breakers.set(key, breaker);
+  }
+
+  /**
+   * Removes the breaker for a key
+   * @param {string} key - Task type
+   * @returns {boolean} True if a breaker was removed
+   */
+  delete(key) {
+    return this.breakers.delete(key);
+  }
+
+  /**
+   * Returns the breaker for a key
+   * @param {string} key - Task type
+   * @returns {CircuitBreaker|undefined}
+   */
+  get(key) {
+    return this.breakers.get(key);
+  }
+
+  /**
+   * Snapshots of every breaker
+   * @returns {Array<Object>} See CircuitBreaker#toJSON
+   */
+  list() {
+    return [...this.breakers.values()].map((breaker) => breaker.toJSON());
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakerRegistry,
+  CIRCUIT_STATES
+};
@@ -0,0 +1,217 @@
+// ============================================================================
+// CLOCKS (REAL AND VIRTUAL TIME)
+// ============================================================================
+//
+// Every timer and timestamp in the runner, the scheduler, rate limits and
+// circuit breakers goes through `clock`, which forwards to the active clock.
+// By default that is the system clock. Installing a VirtualClock with
+// setClock() makes waits take no wall time: the virtual clock jumps straight
+// to the next due timer, firing timers strictly in due order (and in creation
+// order for equal due times), so timing-dependent outcomes are reproducible.
+//
+// Only code that waits through the clock is virtualised. Real I/O - files,
+// child processes, worker threads - still takes real time.
+
+/**
+ * The process's own timers
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+let activeClock = systemClock;
+
+/**
+ * Clock that created each timer handed out by the facade
+ */
+const timerOwners = new WeakMap();
+
+/**
+ * Lets pending promise callbacks and I/O callbacks run before the next timer
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Clock whose time only moves when its timers are fired. With `autoAdvance`
+ * (the default) it fires the next timer as soon as the process has nothing
+ * else to do; otherwise time moves only through advance() and runAll().
+ */
+class VirtualClock {
+  /**
+   * @param {Object} [options] - Clock options
+   * @param {number} [options.start=0] - Initial time in ms since the epoch
+   * @param {boolean} [options.autoAdvance=true] - Fire due timers without waiting for advance()
+   * @param {number} [options.maxTimers=100000] - Timers runAll() fires before assuming a loop
+   */
+  constructor(options = {}) {
+    const { start = 0, autoAdvance = true, maxTimers = 100000 } = options;
+    if (typeof start !== 'number' || !Number.isFinite(start)) {
+      throw new Error('Virtual clock start must be a finite number');
+    }
+
+    this.current = start;
+    this.autoAdvance = autoAdvance;
+    this.maxTimers = maxTimers;
+    this.timers = [];
+    this.nextSequence = 1;
+    this.tick = null;
+  }
+
+  /**
+   * Current virtual time
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return this.current;
+  }
+
+  /**
+   * Schedules a callback after `ms` of virtual time
+   * @param {Function} callback - Function to call
+   * @param {number} [ms=0] - Delay in ms
+   * @returns {Object} Timer handle; ref() and unref() are accepted and ignored
+   */
+  setTimeout(callback, ms = 0) {
+    const timer = {
+      clock: this,
+      at: this.current + Math.max(0, Number(ms) || 0),
+      sequence: this.nextSequence++,
+      callback,
+      ref() { return this; },
+      unref() { return this; },
+      hasRef() { return true; }
+    };
+    this.timers.push(timer);
+    this.timers.sort((a, b) => a.at - b.at || a.sequence - b.sequence);
+    this.scheduleTick();
+    return timer;
+  }
+
+  /**
+   * Cancels a pending timer
+   * @param {Object} timer - Handle returned by setTimeout()
+   */
+  clearTimeout(timer) {
+    this.timers = this.timers.filter((entry) => entry !== timer);
+  }
+
+  /**
+   * Number of timers that have not fired yet
+   * @returns {number}
+   */
+  get pendingTimers() {
+    return this.timers.length;
+  }
+
+  /**
+   * Moves time forward by `ms`, firing every timer that falls due on the way.
+   * Promise callbacks triggered by one timer run before the next one fires.
+   * @param {number} ms - Milliseconds to advance
+   * @returns {Promise<number>} Resolves with the number of timers fired
+   */
+  async advance(ms) {
+    const target = this.current + ms;
+    let fired = 0;
+
+    await settle();
+    while (this.timers.length > 0 && this.timers[0].at <= target) {
+      this.fireNext();
+      fired++;
+      await settle();
+    }
+    this.current = Math.max(this.current, target);
+    return fired;
+  }
+
+  /**
+   * Fires timers until none are left, including timers they create
+   * @returns {Promise<number>} Resolves with the number of timers fired
+   * @throws {Error} If more than `maxTimers` fire, e.g. because of a recurring schedule
+   */
+  async runAll() {
+    let fired = 0;
+
+    await settle();
+    while (this.timers.length > 0) {
+      if (fired >= this.maxTimers) {
+        throw new Error(`Virtual clock fired ${fired} timers without running out - is something rescheduling itself?`);
+      }
+      this.fireNext();
+      fired++;
+      await settle();
+    }
+    return fired;
+  }
+
+  /**
+   * @private
+   */
+  fireNext() {
+    const timer = this.timers.shift();
+    this.current = Math.max(this.current, timer.at);
+    timer.callback();
+  }
+
+  /**
+   * Arranges for the next timer to fire once the process is idle
+   * @private
+   */
+  scheduleTick() {
+    if (!this.autoAdvance || this.tick) {
+      return;
+    }
+    this.tick = setImmediate(() => {
+      this.tick = null;
+      if (this.timers.length > 0) {
+        this.fireNext();
+        this.scheduleTick();
+      }
+    });
+  }
+}
+
+/**
+ * Installs the clock used by the runner. Timers already pending keep
+ * running on the clock that created them.
+ * @param {Object} [clock] - { now, setTimeout, clearTimeout }, e.g. a VirtualClock; omit to restore the system clock
+ * @returns {Object} The clock that was active before
+ */
+const setClock = (clock = systemClock) => {
+  const required = ['now', 'setTimeout', 'clearTimeout'];
+  if (!clock || !required.every((method) => typeof clock[method] === 'function')) {
+    throw new TypeError(`A clock must implement ${required.join(', ')}`);
+  }
+  const previous = activeClock;
+  activeClock = clock;
+  return previous;
+};
+
+/**
+ * Facade over the active clock, used by every module that waits or reads the time
+ */
+const clock = {
+  now: () => activeClock.now(),
+  setTimeout: (callback, ms) => {
+    const owner = activeClock;
+    const timer = owner.setTimeout(callback, ms);
+    if (timer !== null && (typeof timer === 'object' || typeof timer === 'function')) {
+      timerOwners.set(timer, owner);
+    }
+    return timer;
+  },
+  clearTimeout: (timer) => {
+    // A timer belongs to the clock that created it, even after another clock is installed
+    const owner = timerOwners.get(timer) || (timer && timer.clock instanceof VirtualClock ? timer.clock : activeClock);
+    owner.clearTimeout(timer);
+  }
+};
+
+module.exports = {
+  clock,
+  setClock,
+  systemClock,
+  VirtualClock
+};
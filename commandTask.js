@@ -0,0 +1,196 @@
+// ============================================================================
+// COMMAND TASKS (CHILD PROCESSES)
+// ============================================================================
+//
+// Handler for the built-in `command` task type. It spawns a local program
+// without a shell, feeds it `stdin`, and captures stdout and stderr into the
+// task's output. Only the last `maxOutput` bytes of each stream are kept so a
+// chatty script cannot exhaust memory.
+
+const { spawn } = require('child_process');
+const { clock } = require('./clock');
+const { TaskProcessingError, TaskValidationError } = require('./errors');
+
+const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+const STDERR_TAIL_LENGTH = 2000;
+
+// Grace period between SIGTERM and SIGKILL when a command is cancelled
+const KILL_GRACE_PERIOD = 2000;
+
+/**
+ * Collects the last `limit` bytes written to a stream
+ * @private
+ */
+class TailBuffer {
+  constructor(limit) {
+    this.limit = limit;
+    this.chunks = [];
+    this.length = 0;
+    this.truncated = false;
+  }
+
+  push(chunk) {
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+    while (this.length > this.limit && this.chunks.length > 0) {
+      const excess = this.length - this.limit;
+      const first = this.chunks[0];
+      if (first.length <= excess) {
+        this.chunks.shift();
+        this.length -= first.length;
+      } else {
+        this.chunks[0] = first.subarray(excess);
+        this.length -= excess;
+      }
+      this.truncated = true;
+    }
+  }
+
+  toString() {
+    return Buffer.concat(this.chunks).toString('utf8');
+  }
+}
+
+/**
+ * Checks the command fields of a task
+ * @param {Object} task - Task of type `command`
+ * @throws {TaskValidationError} If a field is missing or malformed
+ */
+const validateCommandTask = (task) => {
+  const fail = (message) => {
+    throw new TaskValidationError(`Command task "${task.name}": ${message}`, task);
+  };
+  const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+  if (typeof task.command !== 'string' || task.command.trim() === '') {
+    fail('`command` must be a non-empty string');
+  }
+  if (task.args !== undefined && !isStringArray(task.args)) {
+    fail('`args` must be an array of strings');
+  }
+  if (task.cwd !== undefined && typeof task.cwd !== 'string') {
+    fail('`cwd` must be a string');
+  }
+  if (task.env !== undefined) {
+    const isObject = task.env && typeof task.env === 'object' && !Array.isArray(task.env);
+    if (!isObject || !Object.values(task.env).every((value) => typeof value === 'string')) {
+      fail('`env` must be an object of string values');
+    }
+  }
+  if (task.stdin !== undefined && typeof task.stdin !== 'string') {
+    fail('`stdin` must be a string');
+  }
+  if (task.expectedExitCodes !== undefined &&
+      (!Array.isArray(task.expectedExitCodes) ||
+       !task.expectedExitCodes.every((code) => Number.isInteger(code) && code >= 0))) {
+    fail('`expectedExitCodes` must be an array of non-negative integers');
+  }
+  if (task.maxOutput !== undefined && (!Number.isInteger(task.maxOutput) || task.maxOutput < 0)) {
+    fail('`maxOutput` must be a non-negative integer number of bytes');
+  }
+};
+
+/**
+ * Runs a task's command and resolves once the process exits.
+ *
+ * Task fields: `command`, `args` (array), `cwd`, `env` (merged over the
+ * runner's environment), `stdin`, `expectedExitCodes` (default [0]) and
+ * `maxOutput` (bytes kept per stream, default 1 MiB).
+ * @param {Object} task - Task of type `command`
+ * @param {Object} ctx - Handler context: { signal, attempt }
+ * @returns {Promise<Object>} { exitCode, signal, stdout, stderr, stdoutTruncated, stderrTruncated }
+ * @throws {TaskProcessingError} If the command cannot start or exits with an unexpected code;
+ *   carries `exitCode`, `signal` and `stderr` (the tail of the error output)
+ */
+const runCommand = (task, ctx = {}) => {
+  validateCommandTask(task);
+  const {
+    command,
+    args = [],
+    cwd,
+    env,
+    stdin,
+    expectedExitCodes = [0],
+    maxOutput = DEFAULT_MAX_OUTPUT
+  } = task;
+
+  return new Promise((resolve, reject) => {
+    const stdout = new TailBuffer(maxOutput);
+    const stderr = new TailBuffer(maxOutput);
+    let killTimer = null;
+
+    const child = spawn(command, args, {
+      cwd,
+      env: env ? { ...process.env, ...env } : process.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+
+    // Ask politely first, then force - the runner has already given up on the task
+    const onAbort = () => {
+      child.kill('SIGTERM');
+      killTimer = clock.setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_PERIOD);
+      killTimer.unref();
+    };
+    if (ctx.signal) {
+      ctx.signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const cleanup = () => {
+      clock.clearTimeout(killTimer);
+      if (ctx.signal) {
+        ctx.signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => stderr.push(chunk));
+
+    // A process that exits without reading its input closes the pipe early
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+
+    child.on('error', (error) => {
+      cleanup();
+      const failure = new TaskProcessingError(
+        `Command "${command}" for task "${task.name}" could not be started: ${error.message}`,
+        task.id,
+        task.name
+      );
+      failure.cause = error;
+      reject(failure);
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      cleanup();
+      const result = {
+        exitCode,
+        signal: exitSignal,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        stdoutTruncated: stdout.truncated,
+        stderrTruncated: stderr.truncated
+      };
+
+      if (exitSignal === null && expectedExitCodes.includes(exitCode)) {
+        return resolve(result);
+      }
+
+      const stderrTail = result.stderr.slice(-STDERR_TAIL_LENGTH).trim();
+      const reason = exitSignal ? `was killed by ${exitSignal}` : `exited with code ${exitCode}`;
+      const error = new TaskProcessingError(
+        `Command "${command}" for task "${task.name}" ${reason}${stderrTail ? `: ${stderrTail.split('\n').pop()}` : ''}`,
+        task.id,
+        task.name
+      );
+      error.exitCode = exitCode;
+      error.signal = exitSignal;
+      error.stderr = stderrTail;
+      reject(error);
+    });
+  });
+};
+
+module.exports = {
+  runCommand,
+  validateCommandTask
+};
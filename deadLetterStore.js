@@ -0,0 +1,142 @@
+// ============================================================================
+// DEAD-LETTER STORES
+// ============================================================================
+//
+// A dead-letter store keeps the tasks that failed for good - after their last
+// attempt, or with an error that is not retried - so they can be inspected,
+// fixed and run again instead of disappearing into a log line.
+//
+// A store implements four async methods: add(entry), get(id), list() and
+// delete(id). An entry is { id, task, error, attempts, runId, firstAttemptAt,
+// failedAt, requeuedFrom, requeueCount }.
+//
+// The built-in stores hold at most `maxEntries` entries (1000 by default);
+// adding one more drops the entry that failed first, so a long-running
+// process does not grow without bound.
+
+const { JsonFile } = require('./jsonFile');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Validates the maxEntries option of a store
+ * @param {number} maxEntries - Most entries kept; Infinity for no limit
+ * @returns {number}
+ */
+const validateMaxEntries = (maxEntries) => {
+  if (maxEntries !== Infinity && (!Number.isInteger(maxEntries) || maxEntries < 1)) {
+    throw new Error('Dead-letter store maxEntries must be a positive integer or Infinity');
+  }
+  return maxEntries;
+};
+
+/**
+ * Keeps entries in memory; they are lost when the process exits
+ */
+class MemoryDeadLetterStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxEntries=1000] - Most entries kept; the oldest failures are dropped first
+   */
+  constructor(options = {}) {
+    const { maxEntries = DEFAULT_MAX_ENTRIES } = options;
+    this.maxEntries = validateMaxEntries(maxEntries);
+    this.entries = new Map();
+  }
+
+  /**
+   * Saves an entry, dropping the oldest ones beyond maxEntries
+   * @param {Object} entry - Dead-letter entry with a unique `id`
+   * @returns {Promise<void>}
+   */
+  async add(entry) {
+    this.entries.set(entry.id, entry);
+    // Entries are added as tasks fail, so the first keys are the oldest failures
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Looks up an entry
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(id) {
+    return this.entries.get(id);
+  }
+
+  /**
+   * Every entry, oldest failure first
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    return [...this.entries.values()].sort((a, b) => a.failedAt - b.failedAt);
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} id - Entry id
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async delete(id) {
+    return this.entries.delete(id);
+  }
+}
+
+/**
+ * Keeps entries in a JSON file so they survive restarts and can be handled by
+ * another process, e.g. an on-call engineer's script. Each call reads the
+ * file, and each change re-reads it under a lock file before writing it back,
+ * so changes made by other processes are kept.
+ */
+class FileDeadLetterStore {
+  /**
+   * @param {string} filePath - JSON file holding the entries; created on first write
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxEntries=1000] - Most entries kept; the oldest failures are dropped first
+   */
+  constructor(filePath, options = {}) {
+    const { maxEntries = DEFAULT_MAX_ENTRIES } = options;
+    if (typeof filePath !== 'string' || filePath === '') {
+      throw new Error('Dead-letter store file path must be a non-empty string');
+    }
+    this.maxEntries = validateMaxEntries(maxEntries);
+    this.file = new JsonFile(filePath);
+    this.filePath = this.file.filePath;
+  }
+
+  async add(entry) {
+    await this.file.update((entries) => {
+      entries[entry.id] = entry;
+      const excess = Object.keys(entries).length - this.maxEntries;
+      if (excess > 0) {
+        Object.values(entries)
+          .sort((a, b) => a.failedAt - b.failedAt)
+          .slice(0, excess)
+          .forEach(({ id }) => delete entries[id]);
+      }
+    });
+  }
+
+  async get(id) {
+    return (await this.file.read())[id];
+  }
+
+  async list() {
+    return Object.values(await this.file.read()).sort((a, b) => a.failedAt - b.failedAt);
+  }
+
+  async delete(id) {
+    return this.file.update((entries) => {
+      const removed = Object.prototype.hasOwnProperty.call(entries, id);
+      delete entries[id];
+      return removed;
+    });
+  }
+}
+
+module.exports = {
+  MemoryDeadLetterStore,
+  FileDeadLetterStore
+};
@@ -0,0 +1,67 @@
+// ============================================================================
+// CUSTOM ERROR CLASSES
+// ============================================================================
+
+/**
+ * Custom error class for task processing errors
+ */
+class TaskProcessingError extends Error {
+  constructor(message, taskId, taskName) {
+    super(message);
+    this.name = 'TaskProcessingError';
+    this.taskId = taskId;
+    this.taskName = taskName;
+  }
+}
+
+/**
+ * Custom error class for validation errors
+ */
+class TaskValidationError extends Error {
+  constructor(message, task) {
+    super(message);
+    this.name = 'TaskValidationError';
+    this.task = task;
+  }
+}
+
+/**
+ * Error raised when a task runs longer than its `timeout`
+ */
+class TaskTimeoutError extends TaskProcessingError {
+  constructor(message, taskId, taskName, timeout) {
+    super(message, taskId, taskName);
+    this.name = 'TaskTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error raised when a task is cancelled through an AbortSignal
+ */
+class TaskCancelledError extends TaskProcessingError {
+  constructor(message, taskId, taskName) {
+    super(message, taskId, taskName);
+    this.name = 'TaskCancelledError';
+  }
+}
+
+/**
+ * Error raised instead of starting a task whose type's circuit breaker is open
+ */
+class CircuitOpenError extends TaskProcessingError {
+  constructor(message, taskId, taskName, type, retryAt) {
+    super(message, taskId, taskName);
+    this.name = 'CircuitOpenError';
+    this.type = type;
+    this.retryAt = retryAt;
+  }
+}
+
+module.exports = {
+  TaskProcessingError,
+  TaskValidationError,
+  TaskTimeoutError,
+  TaskCancelledError,
+  CircuitOpenError
+};
@@ -0,0 +1,201 @@
+// ============================================================================
+// IDEMPOTENCY STORES
+// ============================================================================
+//
+// An idempotency store remembers the result of each task that completed with
+// an `idempotencyKey`, until the record expires. The runner consults it before
+// running a keyed task, so a repeated submission returns the original result
+// instead of running the task - and charging the customer - a second time.
+//
+// A store implements three async methods: get(key), set(key, record) and
+// delete(key). A record is { key, result, storedAt, expiresAt }.
+//
+// A store shared by several processes also implements claim(key, claim) and
+// release(key, claimId). A claim is a pending record { key, claimId, runId,
+// pending: true, claimedAt, expiresAt } written before the task runs, so a
+// process submitting the same key meanwhile waits instead of running the task
+// a second time. set() replaces the claim with the result; release() removes
+// it after a failure; a claim left behind by a crashed process expires.
+
+const { clock } = require('./clock');
+const { JsonFile } = require('./jsonFile');
+
+/**
+ * Decides a claim against the record currently stored under its key
+ * @param {Object|undefined} current - Stored record or claim
+ * @returns {Object} { claimed: true }, { claimed: false, pending } or { claimed: false, record }
+ */
+const decideClaim = (current) => {
+  if (!current || current.expiresAt <= clock.now()) {
+    return { claimed: true };
+  }
+  return current.pending ? { claimed: false, pending: current } : { claimed: false, record: current };
+};
+
+/**
+ * Whether a stored value is the given claim, so only its owner can release it
+ * @param {Object|undefined} current - Stored record or claim
+ * @param {string} claimId - Id of the claim to release
+ * @returns {boolean}
+ */
+const isClaim = (current, claimId) => Boolean(current && current.pending && current.claimId === claimId);
+
+/**
+ * Keeps records in memory; they are lost when the process exits
+ */
+class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Looks up an unexpired record
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|undefined>} The record, or undefined if there is none, it expired or
+   *   the key is only claimed
+   */
+  async get(key) {
+    const record = this.records.get(key);
+    if (record && record.expiresAt <= clock.now()) {
+      this.records.delete(key);
+      return undefined;
+    }
+    return record && !record.pending ? record : undefined;
+  }
+
+  /**
+   * Stores a claim unless the key holds an unexpired record or claim
+   * @param {string} key - Idempotency key
+   * @param {Object} claim - { key, claimId, runId, pending: true, claimedAt, expiresAt }
+   * @returns {Promise<Object>} { claimed: true }, or { claimed: false } with the `record` or `pending` claim found
+   */
+  async claim(key, claim) {
+    const outcome = decideClaim(this.records.get(key));
+    if (outcome.claimed) {
+      await this.set(key, claim);
+    }
+    return outcome;
+  }
+
+  /**
+   * Removes a claim, e.g. after its task failed; a result stored since is kept
+   * @param {string} key - Idempotency key
+   * @param {string} claimId - Id of the claim
+   * @returns {Promise<boolean>} True if the claim was removed
+   */
+  async release(key, claimId) {
+    return isClaim(this.records.get(key), claimId) && this.records.delete(key);
+  }
+
+  /**
+   * Saves a record, dropping expired ones on the way
+   * @param {string} key - Idempotency key
+   * @param {Object} record - { key, result, storedAt, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async set(key, record) {
+    this.prune();
+    this.records.set(key, record);
+  }
+
+  /**
+   * Forgets a key so the next submission runs again
+   * @param {string} key - Idempotency key
+   * @returns {Promise<boolean>} True if a record was removed
+   */
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  prune() {
+    const now = clock.now();
+    this.records.forEach((record, key) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Drops expired records and claims from a file's records
+ * @param {Object} records - Records by key, changed in place
+ */
+const pruneRecords = (records) => {
+  const now = clock.now();
+  Object.keys(records).forEach((key) => {
+    if (records[key].expiresAt <= now) {
+      delete records[key];
+    }
+  });
+};
+
+/**
+ * Keeps records in a JSON file so they survive restarts and are shared by
+ * every process using the same file. Each lookup reads the file, and each
+ * change re-reads it under a lock file before writing it back, so a record
+ * saved or claimed by one process is seen by the others. Results must be
+ * JSON-serializable.
+ */
+class FileIdempotencyStore {
+  /**
+   * @param {string} filePath - JSON file holding the records; created on first write
+   */
+  constructor(filePath) {
+    if (typeof filePath !== 'string' || filePath === '') {
+      throw new Error('Idempotency store file path must be a non-empty string');
+    }
+    this.file = new JsonFile(filePath);
+    this.filePath = this.file.filePath;
+  }
+
+  async get(key) {
+    const record = (await this.file.read())[key];
+    return record && !record.pending && record.expiresAt > clock.now() ? record : undefined;
+  }
+
+  async set(key, record) {
+    await this.file.update((records) => {
+      pruneRecords(records);
+      records[key] = record;
+    });
+  }
+
+  async claim(key, claim) {
+    // Decided and written under the lock, so two processes cannot both claim a key
+    return this.file.update((records) => {
+      const outcome = decideClaim(records[key]);
+      pruneRecords(records);
+      if (outcome.claimed) {
+        records[key] = claim;
+      }
+      return outcome;
+    });
+  }
+
+  async release(key, claimId) {
+    return this.file.update((records) => {
+      const removed = isClaim(records[key], claimId);
+      if (removed) {
+        delete records[key];
+      }
+      return removed;
+    });
+  }
+
+  async delete(key) {
+    return this.file.update((records) => {
+      const removed = Object.prototype.hasOwnProperty.call(records, key);
+      delete records[key];
+      return removed;
+    });
+  }
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+  FileIdempotencyStore
+};
@@ -0,0 +1,304 @@
+// ============================================================================
+// DURABLE JOB QUEUE
+// ============================================================================
+//
+// Persists the state of every job in an append-only journal so a run can be
+// resumed after the process dies. Each line of the journal is one JSON record;
+// replaying the records in order rebuilds the state of every job. A job whose
+// last record says it was running when the process stopped is put back in the
+// enqueued state, so it runs again (at-least-once delivery). Compaction
+// rewrites the journal as one record per job and atomically replaces the old
+// file.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { clock } = require('./clock');
+const { WriteQueue } = require('./jsonFile');
+
+const JOURNAL_FILE = 'journal.jsonl';
+const DEFAULT_COMPACT_EVERY = 1000;
+
+/**
+ * States a job moves through: enqueued -> running -> succeeded | failed
+ */
+const JOB_STATES = ['enqueued', 'running', 'succeeded', 'failed'];
+
+/**
+ * Persistent queue of jobs keyed by task id
+ */
+class JobQueue {
+  /**
+   * Use JobQueue.open() - the constructor does not touch the disk.
+   * @param {string} directory - Directory holding the journal
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.compactEvery=1000] - Journal records appended between automatic compactions
+   */
+  constructor(directory, options = {}) {
+    const { compactEvery = DEFAULT_COMPACT_EVERY } = options;
+    if (!Number.isInteger(compactEvery) || compactEvery < 1) {
+      throw new Error('compactEvery must be a positive integer');
+    }
+
+    this.directory = directory;
+    this.journalPath = path.join(directory, JOURNAL_FILE);
+    this.compactEvery = compactEvery;
+    this.jobs = new Map();
+    this.handle = null;
+    this.appended = 0;
+    this.recovered = 0;
+    this.writing = new WriteQueue();
+  }
+
+  /**
+   * Opens (or creates) the queue stored in a directory and recovers its jobs
+   * @param {string} directory - Directory holding the journal
+   * @param {Object} [options] - See the constructor
+   * @returns {Promise<JobQueue>} Open queue; `recovered` counts jobs that were interrupted while running
+   */
+  static async open(directory, options = {}) {
+    const queue = new JobQueue(directory, options);
+    await fs.mkdir(directory, { recursive: true });
+    await queue.replay();
+
+    queue.jobs.forEach((job) => {
+      if (job.state === 'running') {
+        job.state = 'enqueued';
+        queue.recovered++;
+      }
+    });
+
+    // Start from a compacted journal so interrupted jobs are recorded as enqueued
+    await queue.compact();
+    return queue;
+  }
+
+  /**
+   * Rebuilds the job map from the journal on disk
+   * @private
+   */
+  async replay() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const lines = contents.split('\n').filter((line) => line.trim() !== '');
+    lines.forEach((line, index) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A torn final line is what a crash in the middle of a write leaves behind
+        if (index === lines.length - 1) {
+          return;
+        }
+        throw new Error(`Corrupt journal record on line ${index + 1} of ${this.journalPath}`);
+      }
+      this.apply(record);
+    });
+  }
+
+  /**
+   * Applies one journal record to the in-memory job map
+   * @private
+   */
+  apply(record) {
+    if (record.op === 'enqueue') {
+      this.jobs.set(record.id, {
+        id: record.id,
+        task: record.task,
+        state: 'enqueued',
+        runs: 0,
+        enqueuedAt: record.at,
+        updatedAt: record.at,
+        result: null
+      });
+      return;
+    }
+    if (record.op === 'snapshot') {
+      this.jobs.set(record.job.id, record.job);
+      return;
+    }
+
+    const job = this.jobs.get(record.id);
+    if (!job) {
+      return;
+    }
+    job.updatedAt = record.at;
+    if (record.op === 'start') {
+      job.state = 'running';
+      job.runs++;
+    } else if (record.op === 'requeue') {
+      job.state = 'enqueued';
+    } else if (record.op === 'succeed') {
+      job.state = 'succeeded';
+      job.result = record.result;
+    } else if (record.op === 'fail') {
+      job.state = 'failed';
+      job.result = record.result;
+    }
+  }
+
+  /**
+   * Appends a record to the journal, flushes it to disk and applies it.
+   * Writes are serialized so records never interleave with a compaction.
+   * @private
+   */
+  append(record) {
+    return this.writing.run(async () => {
+      if (!this.handle) {
+        throw new Error('Job queue is closed');
+      }
+      await this.handle.appendFile(`${JSON.stringify(record)}\n`);
+      await this.handle.sync();
+      this.apply(record);
+      this.appended++;
+
+      if (this.appended >= this.compactEvery) {
+        await this.rewrite();
+      }
+    });
+  }
+
+  /**
+   * Returns a copy of a job
+   * @param {string|number} id - Task id of the job
+   * @returns {Object|undefined} Job, or undefined if it is unknown
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : undefined;
+  }
+
+  /**
+   * Lists jobs in the order they were enqueued
+   * @param {string} [state] - Only return jobs in this state
+   * @returns {Array<Object>} Copies of the jobs
+   */
+  list(state) {
+    if (state !== undefined && !JOB_STATES.includes(state)) {
+      throw new Error(`State must be one of: ${JOB_STATES.join(', ')}`);
+    }
+    return [...this.jobs.values()]
+      .filter((job) => state === undefined || job.state === state)
+      .map((job) => ({ ...job }));
+  }
+
+  /**
+   * Adds a task to the queue. A task whose id is already known keeps its
+   * existing job, so enqueueing the same file again after a restart does not
+   * rerun finished work.
+   * @param {Object} task - Task to persist
+   * @returns {Promise<Object>} The job for this task
+   */
+  async enqueue(task) {
+    if (!this.jobs.has(task.id)) {
+      await this.append({ op: 'enqueue', id: task.id, task, at: clock.now() });
+    }
+    return this.get(task.id);
+  }
+
+  /**
+   * Records that a job started running
+   * @param {string|number} id - Task id of the job
+   */
+  async markRunning(id) {
+    await this.transition(id, 'start', ['enqueued']);
+  }
+
+  /**
+   * Puts a running job back in the queue, e.g. after its run was cancelled
+   * @param {string|number} id - Task id of the job
+   */
+  async requeue(id) {
+    await this.transition(id, 'requeue', ['running']);
+  }
+
+  /**
+   * Records that a job finished successfully
+   * @param {string|number} id - Task id of the job
+   * @param {Object} result - Result record of the task
+   */
+  async markSucceeded(id, result) {
+    await this.transition(id, 'succeed', ['running'], { result });
+  }
+
+  /**
+   * Records that a job failed for good
+   * @param {string|number} id - Task id of the job
+   * @param {Object} result - Failed result record of the task
+   */
+  async markFailed(id, result) {
+    await this.transition(id, 'fail', ['running'], { result });
+  }
+
+  /**
+   * @private
+   */
+  async transition(id, op, fromStates, fields = {}) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Unknown job ${id}`);
+    }
+    if (!fromStates.includes(job.state)) {
+      throw new Error(`Cannot ${op} job ${id} while it is ${job.state}`);
+    }
+    await this.append({ op, id, ...fields, at: clock.now() });
+  }
+
+  /**
+   * Rewrites the journal as one snapshot record per job
+   * @returns {Promise<void>}
+   */
+  compact() {
+    return this.writing.run(() => this.rewrite());
+  }
+
+  /**
+   * Writes the snapshot to a temporary file and renames it over the journal,
+   * so a crash leaves either the old journal or the new one.
+   * @private
+   */
+  async rewrite() {
+    const temporaryPath = `${this.journalPath}.tmp`;
+    const lines = [...this.jobs.values()].map((job) => JSON.stringify({ op: 'snapshot', job }));
+    const contents = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+
+    const temporary = await fs.open(temporaryPath, 'w');
+    try {
+      await temporary.writeFile(contents);
+      await temporary.sync();
+    } finally {
+      await temporary.close();
+    }
+
+    if (this.handle) {
+      await this.handle.close();
+    }
+    await fs.rename(temporaryPath, this.journalPath);
+    this.handle = await fs.open(this.journalPath, 'a');
+    this.appended = 0;
+  }
+
+  /**
+   * Flushes pending writes and closes the journal
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writing.idle();
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+  JOB_STATES
+};
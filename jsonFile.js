@@ -0,0 +1,170 @@
+// ============================================================================
+// JSON FILES (ATOMIC WRITES, SERIALIZED UPDATES, LOCKING)
+// ============================================================================
+//
+// Persistence shared by the file-backed stores. Writes go to a uniquely named
+// temporary file that is then renamed over the target, so a crash or a
+// concurrent reader sees either the old file or the new one. Updates re-read
+// the file under a lock file, so several processes can share one file
+// without overwriting each other's changes.
+//
+// Lock files are shared with other processes, so lock waits use real time
+// rather than the injectable clock.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const LOCK_RETRY_MS = 20;
+
+let temporaryCounter = 0;
+
+/**
+ * Runs async operations one after another, in the order they were queued
+ */
+class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Queues an operation after the ones already queued
+   * @param {Function} operation - () => Promise
+   * @returns {Promise<*>} Settles like the operation
+   */
+  run(operation) {
+    const result = this.tail.then(operation);
+    // A failed operation must not block the ones after it
+    this.tail = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Resolves once every queued operation has settled
+   * @returns {Promise<void>}
+   */
+  idle() {
+    return this.tail;
+  }
+}
+
+/**
+ * Replaces a file's contents through a temporary file and a rename
+ * @param {string} filePath - Target file; its directory is created if needed
+ * @param {string} contents - New contents
+ * @returns {Promise<void>}
+ */
+const writeFileAtomic = async (filePath, contents) => {
+  // Unique per write, so overlapping writers never rename each other's file
+  const temporaryPath = `${filePath}.${process.pid}.${++temporaryCounter}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await fs.writeFile(temporaryPath, contents);
+    await fs.rename(temporaryPath, filePath);
+  } catch (error) {
+    await fs.rm(temporaryPath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * One JSON document on disk, read fresh on every access
+ */
+class JsonFile {
+  /**
+   * @param {string} filePath - File holding the document; created on first write
+   * @param {Object} [options] - File options
+   * @param {number} [options.lockTimeout=10000] - How long update() waits for the lock, in ms
+   * @param {number} [options.staleLock=30000] - Age after which a left-over lock file is removed, in ms
+   */
+  constructor(filePath, options = {}) {
+    const { lockTimeout = 10000, staleLock = 30000 } = options;
+    this.filePath = path.resolve(filePath);
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockTimeout = lockTimeout;
+    this.staleLock = staleLock;
+    this.queue = new WriteQueue();
+  }
+
+  /**
+   * Reads the document
+   * @param {*} [fallback={}] - Value returned while the file does not exist
+   * @returns {Promise<*>}
+   */
+  async read(fallback = {}) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fallback;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the document, after any write of this process still in progress
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  write(value) {
+    return this.queue.run(() => writeFileAtomic(this.filePath, JSON.stringify(value, null, 2)));
+  }
+
+  /**
+   * Reads the latest document, lets `change` modify it in place and writes it
+   * back, holding the lock file throughout so no other process interleaves
+   * @param {Function} change - (document) => result; may be async
+   * @param {*} [fallback={}] - Document used while the file does not exist
+   * @returns {Promise<*>} Resolves with what `change` returned
+   */
+  update(change, fallback = {}) {
+    return this.queue.run(async () => {
+      await this.lock();
+      try {
+        const document = await this.read(fallback);
+        const result = await change(document);
+        await writeFileAtomic(this.filePath, JSON.stringify(document, null, 2));
+        return result;
+      } finally {
+        await fs.rm(this.lockPath, { force: true });
+      }
+    });
+  }
+
+  /**
+   * Creates the lock file, waiting while another process holds it
+   * @private
+   */
+  async lock() {
+    const deadline = Date.now() + this.lockTimeout;
+    await fs.mkdir(path.dirname(this.lockPath), { recursive: true });
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      // A process that died while holding the lock leaves it behind
+      const stats = await fs.stat(this.lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > this.staleLock) {
+        await fs.rm(this.lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on ${this.filePath}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+}
+
+module.exports = {
+  JsonFile,
+  WriteQueue,
+  writeFileAtomic
+};
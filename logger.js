@@ -0,0 +1,193 @@
+// ============================================================================
+// LOGGING (LEVELED, PRETTY OR JSON LINES)
+// ============================================================================
+//
+// A logger writes one line per call at one of four levels: debug, info, warn
+// and error. Lines below the logger's level are dropped; level 'silent' drops
+// everything. The pretty format is meant for people at a terminal, the json
+// format writes one JSON object per line for log collectors.
+//
+// Context such as the run id and task id is passed as fields, or bound once
+// with child(). In the json format it becomes top-level keys of the line; in
+// the pretty format it is appended as key=value pairs.
+
+const util = require('util');
+const { clock } = require('./clock');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const FORMATS = ['pretty', 'json'];
+
+/**
+ * Converts errors to plain objects so JSON.stringify keeps their message and stack
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*}
+ */
+const jsonReplacer = (key, value) => {
+  if (value instanceof Error) {
+    return { ...value, name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+};
+
+/**
+ * Formats one field value for the pretty format
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatPrettyValue = (value) => {
+  if (value instanceof Error) {
+    return JSON.stringify(value.message);
+  }
+  if (typeof value === 'string') {
+    return /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+  }
+  return util.inspect(value, { depth: 4, breakLength: Infinity });
+};
+
+/**
+ * Writes leveled log lines to a stream
+ */
+class Logger {
+  /**
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level='info'] - 'debug', 'info', 'warn', 'error' or 'silent'
+   * @param {string} [options.format='pretty'] - 'pretty' or 'json'
+   * @param {stream.Writable} [options.stream=process.stdout] - Receives debug and info lines
+   * @param {stream.Writable} [options.errorStream=process.stderr] - Receives warn and error lines
+   * @param {Object} [options.context] - Fields added to every line
+   */
+  constructor(options = {}) {
+    const {
+      level = 'info',
+      format = 'pretty',
+      stream = process.stdout,
+      errorStream = process.stderr,
+      context = {}
+    } = options;
+    if (LEVELS[level] === undefined) {
+      throw new Error(`Log level must be one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Log format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    this.level = level;
+    this.format = format;
+    this.stream = stream;
+    this.errorStream = errorStream;
+    this.context = context;
+  }
+
+  /**
+   * Logger writing to the same streams with more context on every line
+   * @param {Object} context - Fields such as { runId, taskId }
+   * @returns {Logger}
+   */
+  child(context) {
+    return new Logger({ ...this, context: { ...this.context, ...context } });
+  }
+
+  /**
+   * True if lines at this level are written
+   * @param {string} level - Level name
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * @private
+   */
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    // Fields without a value would only add noise to the line
+    const context = Object.fromEntries(
+      Object.entries({ ...this.context, ...fields }).filter(([, value]) => value !== undefined && value !== null)
+    );
+    const stream = LEVELS[level] >= LEVELS.warn ? this.errorStream : this.stream;
+
+    if (this.format === 'json') {
+      const line = { time: new Date(clock.now()).toISOString(), level, msg: String(message), ...context };
+      stream.write(`${JSON.stringify(line, jsonReplacer)}\n`);
+      return;
+    }
+
+    // Blank lines before a message stay above the level tag
+    const [, blankLines, text] = /^(\n*)([\s\S]*)$/.exec(String(message));
+    const tag = level === 'info' ? '' : `${level.toUpperCase()} `;
+    const pairs = Object.entries(context).map(([key, value]) => `${key}=${formatPrettyValue(value)}`);
+    stream.write(`${blankLines}${tag}${text}${pairs.length > 0 ? `  ${pairs.join(' ')}` : ''}\n`);
+  }
+}
+
+/**
+ * Logger that drops every line, for embedding the library quietly
+ */
+const silentLogger = new Logger({ level: 'silent' });
+
+/**
+ * Reads a setting from the environment, ignoring case. An unknown value falls
+ * back to the default: loggers are created when modules load, and a typo in
+ * the environment must not stop the program from starting.
+ * @param {string} name - Variable name
+ * @param {Array<string>} allowed - Accepted values, lowercase
+ * @param {string} fallback - Value used when the variable is unset or unknown
+ * @param {Array<string>} problems - Receives a message for an unknown value
+ * @returns {string}
+ */
+const readSetting = (name, allowed, fallback, problems) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return fallback;
+  }
+  const value = raw.trim().toLowerCase();
+  if (!allowed.includes(value)) {
+    problems.push(`Unknown ${name} "${raw}", using "${fallback}"; expected one of: ${allowed.join(', ')}`);
+    return fallback;
+  }
+  return value;
+};
+
+/**
+ * Logger configured from the LOG_LEVEL and LOG_FORMAT environment variables.
+ * Values are case-insensitive; unknown ones fall back to info and pretty with a warning.
+ * @param {Object} [options] - Overrides for the Logger options
+ * @returns {Logger}
+ */
+const createLogger = (options = {}) => {
+  const problems = [];
+  const logger = new Logger({
+    level: readSetting('LOG_LEVEL', Object.keys(LEVELS), 'info', problems),
+    format: readSetting('LOG_FORMAT', FORMATS, 'pretty', problems),
+    ...options
+  });
+  problems.forEach((problem) => logger.warn(problem));
+  return logger;
+};
+
+module.exports = {
+  Logger,
+  LEVELS,
+  silentLogger,
+  createLogger
+};
@@ -0,0 +1,297 @@
+// ============================================================================
+// METRICS (PROMETHEUS TEXT FORMAT)
+// ============================================================================
+//
+// Minimal counters, gauges and histograms with labels, rendered in the
+// Prometheus text exposition format (version 0.0.4). Every series of a metric
+// is keyed by its label values; series appear once they have been touched.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Escapes a label value: backslash, double quote and line feed
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Formats a sample value, spelling out infinities the Prometheus way
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+};
+
+/**
+ * Formats a label set as {name="value",...}, or an empty string without labels
+ * @param {Array<string>} names - Label names
+ * @param {Array<string>} values - Label values, in the same order
+ * @returns {string}
+ */
+const formatLabels = (names, values) => {
+  if (names.length === 0) {
+    return '';
+  }
+  const pairs = names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  return `{${pairs.join(',')}}`;
+};
+
+/**
+ * Behaviour shared by every metric type: name, help text and labelled series
+ * @private
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!METRIC_NAME_PATTERN.test(name || '')) {
+      throw new Error(`Invalid metric name "${name}"`);
+    }
+    labelNames.forEach((label) => {
+      if (!LABEL_NAME_PATTERN.test(label) || label.startsWith('__')) {
+        throw new Error(`Invalid label name "${label}" for metric ${name}`);
+      }
+    });
+
+    this.type = type;
+    this.name = name;
+    this.help = help || name;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Returns the series for a label set, creating it on first use
+   * @private
+   */
+  seriesFor(labels = {}, create) {
+    const values = this.labelNames.map((label) => (labels[label] === undefined ? '' : String(labels[label])));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * HELP and TYPE lines followed by the samples
+   * @returns {string}
+   */
+  render() {
+    const help = this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+    return [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+
+  /**
+   * Drops every series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * One sample line per series; histograms override this
+   * @private
+   */
+  samples() {
+    return [...this.series.values()].map(({ values, value }) =>
+      `${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`
+    );
+  }
+}
+
+/**
+ * Value that only goes up, e.g. tasks started
+ */
+class Counter extends Metric {
+  /**
+   * @param {Object} definition - { name, help, labelNames }
+   */
+  constructor(definition) {
+    super('counter', definition);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values by name
+   * @param {number} [amount=1] - Non-negative increment
+   */
+  inc(labels, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+/**
+ * Value that goes up and down, e.g. tasks waiting in a queue
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} definition - { name, help, labelNames }
+   */
+  constructor(definition) {
+    super('gauge', definition);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values by name
+   * @param {number} [amount=1] - Increment
+   */
+  inc(labels, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * @param {Object} [labels] - Label values by name
+   * @param {number} [amount=1] - Decrement
+   */
+  dec(labels, amount = 1) {
+    this.inc(labels, -amount);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values by name
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets, e.g. task durations
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} definition - { name, help, labelNames, buckets }
+   * @param {Array<number>} [definition.buckets] - Upper bounds, ascending; +Inf is added automatically
+   */
+  constructor(definition) {
+    super('histogram', definition);
+    const buckets = definition.buckets || DEFAULT_BUCKETS;
+    if (buckets.some((bound, index) => index > 0 && bound <= buckets[index - 1])) {
+      throw new Error(`Histogram ${this.name} buckets must be in ascending order`);
+    }
+    this.buckets = buckets.filter((bound) => bound !== Infinity);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values by name
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * @private
+   */
+  samples() {
+    const lines = [];
+    this.series.forEach(({ values, counts, sum, count }) => {
+      const bucketLabels = [...this.labelNames, 'le'];
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(bucketLabels, [...values, formatValue(bound)])} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(bucketLabels, [...values, '+Inf'])} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Set of metrics rendered together, e.g. for one /metrics endpoint
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * @param {Object} definition - { name, help, labelNames }
+   * @returns {Counter}
+   */
+  counter(definition) {
+    return this.register(new Counter(definition));
+  }
+
+  /**
+   * @param {Object} definition - { name, help, labelNames }
+   * @returns {Gauge}
+   */
+  gauge(definition) {
+    return this.register(new Gauge(definition));
+  }
+
+  /**
+   * @param {Object} definition - { name, help, labelNames, buckets }
+   * @returns {Histogram}
+   */
+  histogram(definition) {
+    return this.register(new Histogram(definition));
+  }
+
+  /**
+   * Looks up a registered metric
+   * @param {string} name - Metric name
+   * @returns {Counter|Gauge|Histogram|undefined}
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    return `${[...this.metrics.values()].map((metric) => metric.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Drops every series of every metric; the metrics stay registered
+   */
+  reset() {
+    this.metrics.forEach((metric) => metric.reset());
+  }
+
+  /**
+   * @private
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry,
+  CONTENT_TYPE
+};
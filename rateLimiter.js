@@ -0,0 +1,175 @@
+// ============================================================================
+// RATE LIMITING (TOKEN BUCKETS)
+// ============================================================================
+//
+// A token bucket holds up to `burst` tokens and refills at `rate` tokens per
+// `per` milliseconds. Starting a task takes one token; when the bucket is
+// empty the task waits, in arrival order, until a token is available.
+
+const { parseInterval } = require('./scheduler');
+const { clock } = require('./clock');
+
+/**
+ * Token bucket with a FIFO line of waiters
+ */
+class TokenBucket {
+  /**
+   * @param {Object} limit - Limit definition
+   * @param {number} limit.rate - Tokens added per `per`
+   * @param {number|string} [limit.per=1000] - Refill period in ms, or a duration such as "1s" or "1m"
+   * @param {number} [limit.burst=rate] - Maximum tokens held, i.e. tasks that may start back to back
+   */
+  constructor(limit) {
+    const { rate, per = 1000, burst = rate } = limit || {};
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw new Error('Rate limit rate must be a positive number');
+    }
+    if (!Number.isInteger(burst) || burst < 1) {
+      throw new Error('Rate limit burst must be a positive integer');
+    }
+
+    this.rate = rate;
+    this.per = parseInterval(per);
+    this.burst = burst;
+    this.tokens = burst;
+    this.refilledAt = clock.now();
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  /**
+   * Adds the tokens earned since the last refill
+   * @private
+   */
+  refill() {
+    const now = clock.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.refilledAt) * this.rate) / this.per);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Milliseconds until the bucket holds `count` whole tokens
+   * @private
+   */
+  timeUntil(count) {
+    this.refill();
+    const missing = count - this.tokens;
+    return missing <= 0 ? 0 : Math.ceil((missing * this.per) / this.rate);
+  }
+
+  /**
+   * Takes a token, waiting behind earlier callers if the bucket is empty
+   * @param {Object} [options] - Wait options
+   * @param {AbortSignal} [options.signal] - Stops waiting; the promise rejects
+   * @param {Function} [options.onThrottle] - Called with the expected wait in ms when the caller has to wait
+   * @returns {Promise<number>} Resolves with the time spent waiting in ms
+   */
+  take(options = {}) {
+    const { signal, onThrottle } = options;
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error('Rate limit wait was aborted'));
+    }
+
+    this.refill();
+    if (this.waiters.length === 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      return Promise.resolve(0);
+    }
+
+    if (onThrottle) {
+      onThrottle(this.timeUntil(this.waiters.length + 1));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, queuedAt: clock.now(), onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiters = this.waiters.filter((entry) => entry !== waiter);
+          reject(new Error('Rate limit wait was aborted'));
+          this.schedule();
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this.waiters.push(waiter);
+      this.schedule();
+    });
+  }
+
+  /**
+   * Hands tokens to waiters in order and sets a timer for the next one
+   * @private
+   */
+  schedule() {
+    clock.clearTimeout(this.timer);
+    this.timer = null;
+
+    this.refill();
+    while (this.waiters.length > 0 && this.tokens >= 1) {
+      const waiter = this.waiters.shift();
+      this.tokens -= 1;
+      if (waiter.signal) {
+        waiter.signal.removeEventListener('abort', waiter.onAbort);
+      }
+      waiter.resolve(clock.now() - waiter.queuedAt);
+    }
+
+    if (this.waiters.length > 0) {
+      this.timer = clock.setTimeout(() => this.schedule(), this.timeUntil(1));
+    }
+  }
+}
+
+/**
+ * Token buckets keyed by task type or by any other string
+ */
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Sets (or replaces) the limit for a key
+   * @param {string} key - Task type or custom rate limit key
+   * @param {Object} limit - { rate, per, burst }, see TokenBucket
+   */
+  set(key, limit) {
+    if (typeof key !== 'string' || key === '') {
+      throw new Error('Rate limit key must be a non-empty string');
+    }
+    this.buckets.set(key, new TokenBucket(limit));
+  }
+
+  /**
+   * Removes the limit for a key; tasks already waiting keep waiting on the old bucket
+   * @param {string} key - Task type or custom rate limit key
+   * @returns {boolean} True if a limit was removed
+   */
+  delete(key) {
+    return this.buckets.delete(key);
+  }
+
+  /**
+   * Whether a key is limited
+   * @param {string} key - Task type or custom rate limit key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.buckets.has(key);
+  }
+
+  /**
+   * Takes a token for a key; keys without a limit pass immediately
+   * @param {string} key - Task type or custom rate limit key
+   * @param {Object} [options] - See TokenBucket#take
+   * @returns {Promise<number>} Resolves with the time spent waiting in ms
+   */
+  acquire(key, options = {}) {
+    const bucket = this.buckets.get(key);
+    return bucket ? bucket.take(options) : Promise.resolve(0);
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter
+};
@@ -0,0 +1,38 @@
+// ============================================================================
+// REPORT HANDLER (CPU-BOUND EXAMPLE)
+// ============================================================================
+//
+// Handler module for "data" tasks such as "Generate report". It keeps the CPU
+// busy for the task's duration instead of waiting on a timer, so it blocks
+// whichever thread runs it. Register it by path to let tasks with
+// `runIn: "worker"` run it in a worker thread:
+//
+//   registerHandler('data', path.join(__dirname, 'reportHandler.js'));
+
+/**
+ * Counts primes by trial division until the task's duration has passed
+ * @param {Object} task - Task to process; `duration` is the CPU time to spend in ms
+ * @param {Object} ctx - Handler context: { attempt }
+ * @returns {Object} { primes, largest } found in the time available
+ */
+module.exports = (task, ctx) => {
+  const deadline = Date.now() + (task.duration || 0);
+  let primes = 0;
+  let largest = 0;
+
+  for (let candidate = 2; Date.now() < deadline; candidate++) {
+    let isPrime = true;
+    for (let divisor = 2; divisor * divisor <= candidate; divisor++) {
+      if (candidate % divisor === 0) {
+        isPrime = false;
+        break;
+      }
+    }
+    if (isPrime) {
+      primes++;
+      largest = candidate;
+    }
+  }
+
+  return { primes, largest, attempt: ctx.attempt };
+};
@@ -0,0 +1,92 @@
+// ============================================================================
+// RESULT REPORTER
+// ============================================================================
+//
+// Turns the result records produced by the runners in taskRunner.js into
+// human-readable text. The runners themselves only return data.
+
+/**
+ * Formats a handler's output for display next to a task result
+ * @param {*} output - Output value of a result record
+ * @returns {string} Formatted output, or an empty string when there is none
+ */
+const formatOutput = (output) => {
+  if (output === null || output === undefined) {
+    return '';
+  }
+  return typeof output === 'string' ? output : JSON.stringify(output);
+};
+
+/**
+ * Formats a single result record as one line of text
+ * @param {Object} result - Result record from a runner
+ * @returns {string} Human-readable description of the result
+ */
+const formatTaskResult = (result) => {
+  const label = `Task "${result.name}" (ID: ${result.id})`;
+  const attemptCount = result.attempts.length;
+
+  switch (result.status) {
+    case 'completed': {
+      if (result.cached) {
+        const output = formatOutput(result.output);
+        return `${label} served from cache${output ? ` - ${output}` : ''}`;
+      }
+      const retries = attemptCount > 1 ? ` after ${attemptCount} attempts` : '';
+      const throttled = result.throttled > 0 ? ` (throttled ${result.throttled}ms)` : '';
+      const output = formatOutput(result.output);
+      return `${label} completed successfully in ${result.duration}ms${retries}${throttled}${output ? ` - ${output}` : ''}`;
+    }
+    case 'failed':
+      return `${label} failed after ${attemptCount} attempt(s) in ${result.duration}ms: ${result.error.message}`;
+    case 'cancelled':
+      return `${label} was cancelled after ${result.duration}ms`;
+    case 'skipped':
+      return `${label} was skipped because task ${result.skippedBecause} failed`;
+    default:
+      return `${label} ${result.status}`;
+  }
+};
+
+/**
+ * Formats a list of result records as a numbered list
+ * @param {Array<Object>} results - Result records from a runner
+ * @returns {string} One indented, numbered line per result
+ */
+const formatResults = (results) => {
+  return results
+    .map((result, index) => `  ${index + 1}. ${formatTaskResult(result)}`)
+    .join('\n');
+};
+
+/**
+ * Counts result records by status
+ * @param {Array<Object>} results - Result records from a runner
+ * @returns {Object} { total, completed, failed, cancelled, skipped }
+ */
+const summarizeResults = (results) => {
+  const summary = { total: results.length, completed: 0, failed: 0, cancelled: 0, skipped: 0 };
+  results.forEach((result) => {
+    if (summary[result.status] !== undefined) {
+      summary[result.status]++;
+    }
+  });
+  return summary;
+};
+
+/**
+ * Formats the status counts of a run as one line
+ * @param {Array<Object>} results - Result records from a runner
+ * @returns {string} Summary such as "5 completed, 1 failed, 0 cancelled, 1 skipped (7 tasks)"
+ */
+const formatSummary = (results) => {
+  const { total, completed, failed, cancelled, skipped } = summarizeResults(results);
+  return `${completed} completed, ${failed} failed, ${cancelled} cancelled, ${skipped} skipped (${total} tasks)`;
+};
+
+module.exports = {
+  formatTaskResult,
+  formatResults,
+  summarizeResults,
+  formatSummary
+};
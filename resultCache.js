@@ -0,0 +1,227 @@
+// ============================================================================
+// RESULT CACHE
+// ============================================================================
+//
+// Tasks that are pure functions of their definition can opt into caching
+// with `cache: { ttl, key }`. The cache maps a key to the output of the last
+// completed run; while the entry is fresh, runners return it instead of
+// running the handler again. Keys default to a hash of the task's fields -
+// name, type, input, command, args and so on - leaving out only the id and
+// the runner's own settings. Handlers must therefore not make their output
+// depend on the id: resubmitting the same work under a new id shares an entry,
+// whatever its retry policy or priority.
+//
+// A store implements async get(key), set(key, entry), delete(key) and clear().
+// An entry is { key, output, storedAt, expiresAt }.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createHash } = require('crypto');
+const { clock } = require('./clock');
+const { writeFileAtomic } = require('./jsonFile');
+
+// Entry files are named after the SHA-256 of their key
+const ENTRY_FILE_PATTERN = /^[0-9a-f]{64}\.json$/;
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal values always
+ * give the same text regardless of key order
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  const text = JSON.stringify(value);
+  return text === undefined ? 'null' : text;
+};
+
+/**
+ * SHA-256 of a string, as hex
+ * @param {string} text - Text to hash
+ * @returns {string}
+ */
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+/**
+ * Task fields left out of the default key: the id, so resubmissions share an
+ * entry, and the fields that only steer the runner
+ */
+const RUNNER_FIELDS = [
+  'id', 'cache', 'retries', 'backoff', 'initialDelay', 'maxDelay', 'jitter', 'timeout',
+  'priority', 'dependsOn', 'idempotencyKey', 'rateLimitKey', 'runIn', 'schedule'
+];
+
+/**
+ * Default cache key of a task: a hash of the whole task without RUNNER_FIELDS
+ * @param {Object} task - Task to key
+ * @returns {string} Hex digest
+ */
+const contentKey = (task) => {
+  const content = { ...task };
+  RUNNER_FIELDS.forEach((field) => delete content[field]);
+  return sha256(stableStringify(content));
+};
+
+/**
+ * Keeps entries in memory; they are lost when the process exits. Expired
+ * entries are dropped on every set(), and beyond `maxEntries` the least
+ * recently stored entries go first, so a long-running process stays bounded.
+ */
+class MemoryResultCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxEntries=1000] - Most entries kept; Infinity for no limit
+   */
+  constructor(options = {}) {
+    const { maxEntries = DEFAULT_MAX_ENTRIES } = options;
+    if (maxEntries !== Infinity && (!Number.isInteger(maxEntries) || maxEntries < 1)) {
+      throw new Error('Result cache maxEntries must be a positive integer or Infinity');
+    }
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Looks up a fresh entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} The entry, or undefined if there is none or it expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= clock.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Saves an entry, dropping expired ones and the oldest beyond maxEntries
+   * @param {string} key - Cache key
+   * @param {Object} entry - { key, output, storedAt, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    const now = clock.now();
+    this.entries.forEach((existing, existingKey) => {
+      if (existing.expiresAt <= now) {
+        this.entries.delete(existingKey);
+      }
+    });
+    // Re-inserted so the Map's order stays the order entries were stored in
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Removes every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Keeps one JSON file per entry in a directory, named after the hash of the
+ * key, so entries survive restarts and can be shared by processes on the same
+ * machine. Outputs must be JSON-serializable.
+ */
+class FileResultCache {
+  /**
+   * @param {string} directory - Directory holding the entries; created on first write
+   */
+  constructor(directory) {
+    if (typeof directory !== 'string' || directory === '') {
+      throw new Error('Result cache directory must be a non-empty string');
+    }
+    this.directory = path.resolve(directory);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.pathOf(key), 'utf8'));
+    } catch (error) {
+      // A missing or unreadable entry is a miss; the task simply runs again
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return undefined;
+      }
+      throw error;
+    }
+    if (entry.key !== key || entry.expiresAt <= clock.now()) {
+      return undefined;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    await writeFileAtomic(this.pathOf(key), JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.pathOf(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Removes every entry file; other files in the directory are left alone
+   */
+  async clear() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    const entryNames = names.filter((name) => ENTRY_FILE_PATTERN.test(name));
+    await Promise.all(entryNames.map((name) => fs.rm(path.join(this.directory, name), { force: true })));
+  }
+
+  /**
+   * @private
+   */
+  pathOf(key) {
+    return path.join(this.directory, `${sha256(key)}.json`);
+  }
+}
+
+module.exports = {
+  MemoryResultCache,
+  FileResultCache,
+  contentKey,
+  stableStringify
+};
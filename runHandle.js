@@ -0,0 +1,160 @@
+// ============================================================================
+// RUN HANDLES (PAUSE / RESUME / DRAIN)
+// ============================================================================
+//
+// A run handle lets an operator hold a run that is already underway. Pausing
+// stops the runner from starting new tasks; tasks already in flight finish
+// normally. The runner reports each task it starts and finishes so the handle
+// can answer status() and drain() without knowing how the runner works.
+
+/**
+ * Controls one active run of processTasksAsyncAwait or processTasksCallbacks
+ */
+class RunHandle {
+  constructor() {
+    this.paused = false;
+    this.active = false;
+    this.finished = false;
+    this.pending = 0;
+    this.running = 0;
+    this.done = 0;
+    this.resumeWaiters = [];
+    this.drainWaiters = [];
+  }
+
+  /**
+   * Stops starting new tasks. Tasks in flight keep running.
+   */
+  pause() {
+    this.paused = true;
+    this.settleDrain();
+  }
+
+  /**
+   * Lets the run start tasks again
+   */
+  resume() {
+    this.paused = false;
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach((waiter) => waiter.resolve());
+  }
+
+  /**
+   * Waits until no task is in flight and none will start: either the run is
+   * paused and its running tasks have finished, or the run is over.
+   * @returns {Promise<void>}
+   */
+  drain() {
+    return new Promise((resolve) => {
+      this.drainWaiters.push(resolve);
+      this.settleDrain();
+    });
+  }
+
+  /**
+   * Snapshot of the run
+   * @returns {Object} { state, pending, running, done } - state is 'idle', 'running', 'paused' or 'finished'
+   */
+  status() {
+    let state = 'idle';
+    if (this.finished) {
+      state = 'finished';
+    } else if (this.active) {
+      state = this.paused ? 'paused' : 'running';
+    }
+    return { state, pending: this.pending, running: this.running, done: this.done };
+  }
+
+  // --------------------------------------------------------------------------
+  // Runner side
+  // --------------------------------------------------------------------------
+
+  /**
+   * Attaches the handle to a run of `total` tasks
+   * @param {number} total - Number of tasks in the run
+   * @throws {Error} If the handle already controls a run
+   * @private
+   */
+  begin(total) {
+    if (this.active || this.finished) {
+      throw new Error('A run handle can only control one run');
+    }
+    this.active = true;
+    this.pending = total;
+  }
+
+  /**
+   * Resolves immediately unless the run is paused, otherwise on resume()
+   * @param {AbortSignal} [signal] - Stops waiting; the promise rejects
+   * @returns {Promise<void>}
+   * @private
+   */
+  whenResumed(signal) {
+    if (!this.paused) {
+      return Promise.resolve();
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error('Paused run was aborted'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      if (signal) {
+        const onAbort = () => {
+          this.resumeWaiters = this.resumeWaiters.filter((entry) => entry !== waiter);
+          reject(new Error('Paused run was aborted'));
+        };
+        waiter.resolve = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      this.resumeWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * @private
+   */
+  taskStarted() {
+    this.pending--;
+    this.running++;
+  }
+
+  /**
+   * @private
+   */
+  taskFinished() {
+    this.running--;
+    this.done++;
+    this.settleDrain();
+  }
+
+  /**
+   * Marks the run as over, whether it completed or failed
+   * @private
+   */
+  end() {
+    this.active = false;
+    this.finished = true;
+    this.settleDrain();
+  }
+
+  /**
+   * @private
+   */
+  settleDrain() {
+    const idle = this.running === 0 && (this.paused || this.finished);
+    if (idle && this.drainWaiters.length > 0) {
+      const waiters = this.drainWaiters;
+      this.drainWaiters = [];
+      waiters.forEach((resolve) => resolve());
+    }
+  }
+}
+
+module.exports = {
+  RunHandle
+};
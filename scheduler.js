@@ -0,0 +1,457 @@
+// ============================================================================
+// RECURRING SCHEDULES
+// ============================================================================
+//
+// Fires tasks that declare a `schedule`, either a 5-field cron expression
+// (minute hour day-of-month month day-of-week, in local time) or a fixed
+// interval such as { every: "15m" }. The scheduler does not know how to run a
+// task; taskRunner.js passes in a `run(task)` function.
+
+const EventEmitter = require('events');
+const { clock } = require('./clock');
+const { JsonFile } = require('./jsonFile');
+const { CRON_FIELDS, parseCronField } = require('./taskSchema');
+
+const OVERLAP_POLICIES = ['skip', 'queue', 'allow'];
+const CATCH_UP_POLICIES = ['none', 'latest', 'all'];
+const DEFAULT_OVERLAP = 'skip';
+const DEFAULT_CATCH_UP = 'none';
+
+// Upper bound on catch-up runs fired for one task with catchUp: 'all' (the most recent are kept)
+const MAX_CATCH_UP_RUNS = 100;
+
+// setTimeout cannot wait longer than this; longer waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const MINUTE = 60 * 1000;
+const INTERVAL_UNITS = { ms: 1, s: 1000, m: MINUTE, h: 60 * MINUTE, d: 24 * 60 * MINUTE };
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parses a 5-field cron expression
+ * @param {string} expression - e.g. "0 6 * * 1-5"
+ * @returns {Object} Sets of matching values per field
+ * @throws {Error} If the expression is malformed
+ */
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, index) => {
+    cron[field.name] = parseCronField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (cron.dayOfWeek.delete(7)) {
+    cron.dayOfWeek.add(0);
+  }
+  // Like classic cron, a restricted day-of-month and day-of-week match either
+  cron.anyDay = parts[2] !== '*' && parts[4] !== '*';
+  return cron;
+};
+
+/**
+ * Parses an interval such as "15m", "30s", "2h", "1d" or "500ms"
+ * @param {string|number} every - Interval text, or a number of milliseconds
+ * @returns {number} Interval in milliseconds
+ * @throws {Error} If the interval is malformed or not positive
+ */
+const parseInterval = (every) => {
+  if (typeof every === 'number') {
+    if (!Number.isFinite(every) || every <= 0) {
+      throw new Error('Schedule interval must be a positive number of milliseconds');
+    }
+    return every;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(String(every).trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid schedule interval "${every}" - use a number followed by ms, s, m, h or d`);
+  }
+  return Number(match[1]) * INTERVAL_UNITS[match[2]];
+};
+
+/**
+ * Normalizes a task's `schedule` field
+ * @param {string|Object} schedule - Cron string, { cron }, or { every }, with optional overlap and catchUp
+ * @returns {Object} { kind, cron|every, overlap, catchUp, source }
+ * @throws {Error} If the schedule is malformed
+ */
+const parseSchedule = (schedule) => {
+  const spec = typeof schedule === 'string' ? { cron: schedule } : schedule;
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Schedule must be a cron expression or an object with `cron` or `every`');
+  }
+  if ((spec.cron === undefined) === (spec.every === undefined)) {
+    throw new Error('Schedule must declare exactly one of `cron` or `every`');
+  }
+
+  const { overlap = DEFAULT_OVERLAP, catchUp = DEFAULT_CATCH_UP } = spec;
+  if (!OVERLAP_POLICIES.includes(overlap)) {
+    throw new Error(`Schedule overlap must be one of: ${OVERLAP_POLICIES.join(', ')}`);
+  }
+  if (!CATCH_UP_POLICIES.includes(catchUp)) {
+    throw new Error(`Schedule catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+  }
+
+  if (spec.cron !== undefined) {
+    return { kind: 'cron', cron: parseCron(spec.cron), overlap, catchUp, source: spec.cron };
+  }
+  return { kind: 'interval', every: parseInterval(spec.every), overlap, catchUp, source: `every ${spec.every}` };
+};
+
+// ============================================================================
+// OCCURRENCES
+// ============================================================================
+
+/**
+ * Whether a cron expression matches the day of a date
+ * @private
+ */
+const matchesDay = (cron, date) => {
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+  return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Finds the first minute after `after` that a cron expression matches.
+ * Skips whole months, days and hours that cannot match.
+ * @param {Object} cron - Result of parseCron()
+ * @param {number} after - Timestamp in ms; the result is strictly later
+ * @returns {number|null} Timestamp of the next match, or null if none within 5 years
+ */
+const nextCronTime = (cron, after) => {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after + 5 * 366 * 24 * 60 * MINUTE;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+};
+
+/**
+ * Next occurrence of a parsed schedule strictly after a time
+ * @param {Object} schedule - Result of parseSchedule()
+ * @param {number} after - Timestamp in ms
+ * @param {number} [anchor=after] - Start of the interval grid for interval schedules
+ * @returns {number|null} Timestamp of the next occurrence
+ */
+const nextOccurrence = (schedule, after, anchor = after) => {
+  if (schedule.kind === 'cron') {
+    return nextCronTime(schedule.cron, after);
+  }
+  const elapsed = Math.max(0, after - anchor);
+  return anchor + (Math.floor(elapsed / schedule.every) + 1) * schedule.every;
+};
+
+/**
+ * Lists the next run times of a schedule
+ * @param {string|Object} schedule - A task's `schedule` field, or a parsed schedule
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.count=5] - Number of run times to list
+ * @param {number} [options.from=clock.now()] - List runs after this timestamp
+ * @param {number} [options.anchor] - Start of the interval grid for interval schedules
+ * @returns {Array<Date>} Upcoming run times in ascending order
+ */
+const upcomingRuns = (schedule, options = {}) => {
+  const parsed = schedule && schedule.kind ? schedule : parseSchedule(schedule);
+  const { count = 5, from = clock.now(), anchor = from } = options;
+
+  const runs = [];
+  let cursor = from;
+  while (runs.length < count) {
+    const next = nextOccurrence(parsed, cursor, anchor);
+    if (next === null) {
+      break;
+    }
+    runs.push(new Date(next));
+    cursor = next;
+  }
+  return runs;
+};
+
+/**
+ * Occurrences of a schedule after its last run and up to now, keeping the
+ * most recent MAX_CATCH_UP_RUNS
+ * @param {Object} schedule - Result of parseSchedule()
+ * @param {number} lastScheduledAt - Timestamp of the last scheduled run
+ * @param {number} now - Current timestamp
+ * @returns {Array<number>} Missed run timestamps in ascending order
+ */
+const missedRuns = (schedule, lastScheduledAt, now) => {
+  if (schedule.kind === 'interval') {
+    const count = Math.floor((now - lastScheduledAt) / schedule.every);
+    const first = Math.max(1, count - MAX_CATCH_UP_RUNS + 1);
+    const runs = [];
+    for (let step = first; step <= count; step++) {
+      runs.push(lastScheduledAt + step * schedule.every);
+    }
+    return runs;
+  }
+
+  const runs = [];
+  let next = nextCronTime(schedule.cron, lastScheduledAt);
+  while (next !== null && next <= now) {
+    runs.push(next);
+    if (runs.length > MAX_CATCH_UP_RUNS) {
+      runs.shift();
+    }
+    next = nextCronTime(schedule.cron, next);
+  }
+  return runs;
+};
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Long-running scheduler for tasks that declare a `schedule`.
+ *
+ * Events:
+ *   schedule:fire     { taskId, taskName, scheduledAt, catchUp }
+ *   schedule:skip     { taskId, taskName, scheduledAt, reason }
+ *   schedule:success  { taskId, taskName, scheduledAt, result }
+ *   schedule:failure  { taskId, taskName, scheduledAt, error }
+ *   state:error       { stateFile, error } - saving the state failed; scheduling goes on
+ */
+class Scheduler extends EventEmitter {
+  /**
+   * @param {Array<Object>} tasks - Tasks to schedule; tasks without `schedule` are ignored
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.run - (task) => Promise, runs one occurrence of a task
+   * @param {string} [options.stateFile] - JSON file remembering the last run of each task, used for catch-up
+   */
+  constructor(tasks, options = {}) {
+    super();
+    if (typeof options.run !== 'function') {
+      throw new Error('Scheduler needs a run(task) function');
+    }
+
+    this.run = options.run;
+    this.stateFile = options.stateFile || null;
+    this.stateStore = this.stateFile ? new JsonFile(this.stateFile) : null;
+    this.state = {};
+    this.started = false;
+    this.entries = tasks
+      .filter((task) => task && task.schedule !== undefined)
+      .map((task) => ({
+        task,
+        schedule: parseSchedule(task.schedule),
+        timer: null,
+        nextAt: null,
+        running: new Set(),
+        waiting: []
+      }));
+  }
+
+  /**
+   * Loads the saved state, fires catch-up runs and arms a timer per task
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    await this.loadState();
+
+    const now = clock.now();
+    this.entries.forEach((entry) => {
+      const key = String(entry.task.id);
+      const lastScheduledAt = this.state[key];
+
+      if (lastScheduledAt === undefined) {
+        // First start: nothing was missed, but remember when we began watching
+        this.state[key] = now;
+      } else {
+        this.catchUp(entry, lastScheduledAt, now);
+      }
+      this.arm(entry, now);
+    });
+
+    await this.saveState();
+  }
+
+  /**
+   * Clears every timer and waits for runs already in progress.
+   * Runs waiting behind an overlap are dropped.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.started = false;
+    const inFlight = [];
+    this.entries.forEach((entry) => {
+      clock.clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.nextAt = null;
+      entry.waiting = [];
+      inFlight.push(...entry.running);
+    });
+    await Promise.allSettled(inFlight);
+    await this.saveState();
+  }
+
+  /**
+   * Lists the next run times across every scheduled task
+   * @param {number} [count=5] - Run times to list per task
+   * @returns {Array<Object>} { taskId, taskName, at } sorted by time
+   */
+  upcoming(count = 5) {
+    const now = clock.now();
+    const runs = [];
+    this.entries.forEach(({ task, schedule }) => {
+      const anchor = this.anchorOf(task, now);
+      upcomingRuns(schedule, { count, from: now, anchor }).forEach((at) => {
+        runs.push({ taskId: task.id, taskName: task.name, at });
+      });
+    });
+    return runs.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Start of the interval grid of a task: its last scheduled run if known
+   * @private
+   */
+  anchorOf(task, fallback) {
+    const saved = this.state[String(task.id)];
+    return saved === undefined ? fallback : saved;
+  }
+
+  /**
+   * Fires the runs missed while the scheduler was not running
+   * @private
+   */
+  catchUp(entry, lastScheduledAt, now) {
+    const { schedule, task } = entry;
+    const missed = missedRuns(schedule, lastScheduledAt, now);
+    if (missed.length === 0) {
+      return;
+    }
+
+    // Later occurrences continue from the last missed one
+    this.state[String(task.id)] = missed[missed.length - 1];
+    if (schedule.catchUp === 'none') {
+      return;
+    }
+
+    const runs = schedule.catchUp === 'latest' ? missed.slice(-1) : missed;
+    runs.forEach((scheduledAt) => this.fire(entry, scheduledAt, true));
+  }
+
+  /**
+   * Sets the timer for the next occurrence of a task
+   * @private
+   */
+  arm(entry, now) {
+    if (!this.started) {
+      return;
+    }
+    const nextAt = nextOccurrence(entry.schedule, now, this.anchorOf(entry.task, now));
+    entry.nextAt = nextAt;
+    if (nextAt === null) {
+      return;
+    }
+
+    const wait = Math.min(Math.max(0, nextAt - clock.now()), MAX_TIMER_DELAY);
+    entry.timer = clock.setTimeout(() => {
+      entry.timer = null;
+      if (clock.now() < nextAt) {
+        // Woke up early because the wait was capped
+        this.arm(entry, now);
+        return;
+      }
+      this.state[String(entry.task.id)] = nextAt;
+      this.fire(entry, nextAt, false);
+      this.saveState().catch((error) => this.emit('state:error', { stateFile: this.stateFile, error }));
+      // Occurrences missed while the event loop was blocked are not fired twice
+      this.arm(entry, Math.max(nextAt, clock.now()));
+    }, wait);
+  }
+
+  /**
+   * Starts one occurrence of a task, applying its overlap policy
+   * @private
+   */
+  fire(entry, scheduledAt, catchUp) {
+    const { task, schedule } = entry;
+    const describe = { taskId: task.id, taskName: task.name, scheduledAt: new Date(scheduledAt) };
+
+    if (entry.running.size > 0 && schedule.overlap !== 'allow') {
+      if (schedule.overlap === 'skip') {
+        this.emit('schedule:skip', { ...describe, reason: 'previous run still in progress' });
+        return;
+      }
+      entry.waiting.push({ scheduledAt, catchUp });
+      return;
+    }
+
+    this.emit('schedule:fire', { ...describe, catchUp });
+    const execution = Promise.resolve()
+      .then(() => this.run(task))
+      .then(
+        (result) => this.emit('schedule:success', { ...describe, result }),
+        (error) => this.emit('schedule:failure', { ...describe, error })
+      )
+      .finally(() => {
+        entry.running.delete(execution);
+        const queued = entry.waiting.shift();
+        if (queued && this.started) {
+          this.fire(entry, queued.scheduledAt, queued.catchUp);
+        }
+      });
+    entry.running.add(execution);
+  }
+
+  /**
+   * @private
+   */
+  async loadState() {
+    if (this.stateStore) {
+      this.state = await this.stateStore.read();
+    }
+  }
+
+  /**
+   * Writes the state atomically, after any save still in progress
+   * @private
+   */
+  async saveState() {
+    if (this.stateStore) {
+      await this.stateStore.write(this.state);
+    }
+  }
+}
+
+module.exports = {
+  Scheduler,
+  parseCron,
+  parseInterval,
+  parseSchedule,
+  nextOccurrence,
+  upcomingRuns,
+  OVERLAP_POLICIES,
+  CATCH_UP_POLICIES
+};
@@ -2,6 +2,11 @@ const http = require('http');
 const fs = require('fs').promises;
 const path = require('path');
 const url = require('url');
+const { handleMetricsRequest } = require('./taskRunner');
+const { createLogger } = require('./logger');
+
+// LOG_LEVEL and LOG_FORMAT select the level and format, e.g. LOG_FORMAT=json
+const logger = createLogger();
 
 const PORT = process.env.PORT || 3000;
 const MIME_TYPES = {
@@ -20,6 +25,15 @@ const server = http.createServer(async (req, res) => {
     // Parse URL
     const parsedUrl = url.parse(req.url);
     let pathname = parsedUrl.pathname;
+    res.on('finish', () => {
+        logger.debug(`${req.method} ${parsedUrl.pathname}`, { status: res.statusCode });
+    });
+
+    // Task runner metrics of this process in the Prometheus text format
+    if (pathname === '/metrics') {
+        handleMetricsRequest(req, res);
+        return;
+    }
 
     // Default to index.html
     if (pathname === '/') {
@@ -51,6 +65,7 @@ const server = http.createServer(async (req, res) => {
             res.writeHead(404, { 'Content-Type': 'text/html' });
             res.end('<h1>404 - File Not Found</h1>');
         } else {
+            logger.error(`Cannot serve ${pathname}: ${error.message}`, { code: error.code });
             res.writeHead(500, { 'Content-Type': 'text/html' });
             res.end('<h1>500 - Internal Server Error</h1>');
         }
@@ -58,25 +73,25 @@ const server = http.createServer(async (req, res) => {
 });
 
 server.listen(PORT, () => {
-    console.log('='.repeat(60));
-    console.log('🚀 Server is running!');
-    console.log('='.repeat(60));
-    console.log(`📍 Local:   http://localhost:${PORT}`);
-    console.log(`📍 Network: http://127.0.0.1:${PORT}`);
-    console.log('='.repeat(60));
-    console.log('\nPress Ctrl+C to stop the server\n');
+    logger.info('='.repeat(60));
+    logger.info('🚀 Server is running!');
+    logger.info('='.repeat(60));
+    logger.info(`📍 Local:   http://localhost:${PORT}`);
+    logger.info(`📍 Network: http://127.0.0.1:${PORT}`);
+    logger.info('='.repeat(60));
+    logger.info('\nPress Ctrl+C to stop the server\n');
 }).on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
-        console.error(`\n❌ Port ${PORT} is already in use!`);
-        console.log('\nTry one of these solutions:');
-        console.log('1. Close the other application using port 3000');
-        console.log('2. Use a different port by setting PORT environment variable:');
-        console.log('   set PORT=3001 && node server.js');
-        console.log('3. Or kill the process on port 3000:\n');
-        console.log('   netstat -ano | findstr :3000');
-        console.log('   taskkill /PID <PID_NUMBER> /F\n');
+        logger.error(`\n❌ Port ${PORT} is already in use!`);
+        logger.info('\nTry one of these solutions:');
+        logger.info('1. Close the other application using port 3000');
+        logger.info('2. Use a different port by setting PORT environment variable:');
+        logger.info('   set PORT=3001 && node server.js');
+        logger.info('3. Or kill the process on port 3000:\n');
+        logger.info('   netstat -ano | findstr :3000');
+        logger.info('   taskkill /PID <PID_NUMBER> /F\n');
     } else {
-        console.error('❌ Server error:', err.message);
+        logger.error(`❌ Server error: ${err.message}`);
     }
     process.exit(1);
 });
@@ -0,0 +1,202 @@
+// ============================================================================
+// TASK QUEUES
+// ============================================================================
+//
+// Queues decide which task a runner starts next. Both queues share the same
+// interface (enqueue, dequeue, peek, size) so runners can switch between
+// plain FIFO order and priority scheduling without changing their loops.
+
+/**
+ * First-in, first-out queue
+ */
+class FifoQueue {
+  constructor() {
+    this.items = [];
+    this.head = 0;
+  }
+
+  /**
+   * Number of queued items
+   * @returns {number}
+   */
+  get size() {
+    return this.items.length - this.head;
+  }
+
+  /**
+   * Adds an item to the back of the queue
+   * @param {*} item - Item to enqueue
+   */
+  enqueue(item) {
+    this.items.push(item);
+  }
+
+  /**
+   * Removes and returns the item at the front of the queue
+   * @returns {*} The item, or undefined when the queue is empty
+   */
+  dequeue() {
+    if (this.size === 0) {
+      return undefined;
+    }
+
+    const item = this.items[this.head];
+    this.items[this.head] = undefined;
+    this.head++;
+
+    // Compact once the consumed prefix dominates the backing array
+    if (this.head > 32 && this.head * 2 > this.items.length) {
+      this.items = this.items.slice(this.head);
+      this.head = 0;
+    }
+
+    return item;
+  }
+
+  /**
+   * Returns the item at the front without removing it
+   * @returns {*} The item, or undefined when the queue is empty
+   */
+  peek() {
+    return this.size === 0 ? undefined : this.items[this.head];
+  }
+}
+
+/**
+ * Priority queue with FIFO order inside a priority level and aging.
+ *
+ * Higher priority values are dequeued first. Aging raises the effective
+ * priority of every waiting item by `aging` for each item dequeued ahead of
+ * it, so a steady stream of high-priority work cannot starve older items.
+ * Because all waiting items age at the same rate, the ordering key can be
+ * fixed at enqueue time and a binary heap is enough.
+ */
+class PriorityQueue {
+  /**
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.aging=0] - Priority gained per item dequeued while waiting
+   */
+  constructor(options = {}) {
+    const { aging = 0 } = options;
+    if (typeof aging !== 'number' || aging < 0) {
+      throw new Error('Aging must be a non-negative number');
+    }
+
+    this.aging = aging;
+    this.heap = [];
+    this.sequence = 0;
+    this.dequeued = 0;
+  }
+
+  /**
+   * Number of queued items
+   * @returns {number}
+   */
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Adds an item with the given priority
+   * @param {*} item - Item to enqueue
+   * @param {number} priority - Numeric priority, higher runs first
+   */
+  enqueue(item, priority) {
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+      throw new Error('Priority must be a finite number');
+    }
+
+    const entry = {
+      item,
+      priority,
+      key: priority - this.aging * this.dequeued,
+      sequence: this.sequence++
+    };
+    this.heap.push(entry);
+    this.siftUp(this.heap.length - 1);
+  }
+
+  /**
+   * Removes and returns the item with the highest effective priority
+   * @returns {*} The item, or undefined when the queue is empty
+   */
+  dequeue() {
+    if (this.heap.length === 0) {
+      return undefined;
+    }
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    this.dequeued++;
+
+    return top.item;
+  }
+
+  /**
+   * Returns the next item without removing it
+   * @returns {*} The item, or undefined when the queue is empty
+   */
+  peek() {
+    return this.heap.length === 0 ? undefined : this.heap[0].item;
+  }
+
+  /**
+   * Whether entry `a` must be dequeued before entry `b`
+   * @private
+   */
+  before(a, b) {
+    if (a.key !== b.key) {
+      return a.key > b.key;
+    }
+    return a.sequence < b.sequence;
+  }
+
+  /**
+   * @private
+   */
+  siftUp(index) {
+    const { heap } = this;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.before(heap[index], heap[parent])) {
+        break;
+      }
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  /**
+   * @private
+   */
+  siftDown(index) {
+    const { heap } = this;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let first = index;
+
+      if (left < heap.length && this.before(heap[left], heap[first])) {
+        first = left;
+      }
+      if (right < heap.length && this.before(heap[right], heap[first])) {
+        first = right;
+      }
+      if (first === index) {
+        break;
+      }
+
+      [heap[index], heap[first]] = [heap[first], heap[index]];
+      index = first;
+    }
+  }
+}
+
+module.exports = {
+  FifoQueue,
+  PriorityQueue
+};
@@ -1,331 +1,3219 @@
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const http = require('http');
+const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
+const { FifoQueue, PriorityQueue } = require('./taskQueue');
+const { checkTaskFile, formatIssues } = require('./taskSchema');
+const { JobQueue } = require('./jobQueue');
+const { Scheduler, upcomingRuns, parseInterval } = require('./scheduler');
+const { RateLimiter } = require('./rateLimiter');
+const { CircuitBreakerRegistry } = require('./circuitBreaker');
+const { WorkerPool } = require('./workerPool');
+const { RunHandle } = require('./runHandle');
+const { clock, setClock, systemClock, VirtualClock } = require('./clock');
+const { MemoryIdempotencyStore, FileIdempotencyStore } = require('./idempotencyStore');
+const { MemoryResultCache, FileResultCache, contentKey } = require('./resultCache');
+const { MemoryDeadLetterStore, FileDeadLetterStore } = require('./deadLetterStore');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { Span, MemorySpanExporter, FileSpanExporter } = require('./tracing');
+const { Logger, silentLogger, createLogger } = require('./logger');
+const { runCommand } = require('./commandTask');
+const { formatTaskResult, formatResults, summarizeResults, formatSummary } = require('./reporter');
+const {
+  TaskProcessingError,
+  TaskValidationError,
+  TaskTimeoutError,
+  TaskCancelledError,
+  CircuitOpenError
+} = require('./errors');
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Default number of tasks kept in flight by the pool runners
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Retry policy applied when a task does not declare its own settings
+ */
+const DEFAULT_RETRY_POLICY = {
+  retries: 0,
+  backoff: 'exponential',
+  initialDelay: 100,
+  maxDelay: 10000,
+  jitter: 0
+};
+
+/**
+ * Supported backoff strategies for task retries
+ */
+const BACKOFF_STRATEGIES = ['fixed', 'exponential'];
+
+/**
+ * Numeric values of the named task priorities - higher runs first
+ */
+const PRIORITY_LEVELS = {
+  high: 3,
+  medium: 2,
+  low: 1
+};
+
+/**
+ * Priority assumed for tasks that do not declare one
+ */
+const DEFAULT_PRIORITY = 'medium';
+
+/**
+ * Orders in which runners can pick up tasks
+ */
+const SCHEDULING_MODES = ['fifo', 'priority'];
+
+/**
+ * Simulates asynchronous delay using a timer of the active clock wrapped in a Promise.
+ * Aborting the signal clears the pending timer and rejects the delay.
+ * @param {number} ms - Milliseconds to delay
+ * @param {AbortSignal} [signal] - Signal that cancels the delay
+ * @returns {Promise<void>}
+ */
+const delay = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('Delay was aborted'));
+    }
+
+    const onAbort = () => {
+      clock.clearTimeout(timer);
+      reject(new Error('Delay was aborted'));
+    };
+    const timer = clock.setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+};
+
+/**
+ * Creates the error used when a task is cancelled by the run's AbortSignal
+ * @param {Object} task - Task that was cancelled
+ * @returns {TaskCancelledError}
+ */
+const createCancelledError = (task) => {
+  const { id, name } = task || {};
+  return new TaskCancelledError(`Task "${name}" was cancelled`, id, name);
+};
+
+/**
+ * Creates the error used when a task exceeds its timeout
+ * @param {Object} task - Task that timed out
+ * @returns {TaskTimeoutError}
+ */
+const createTimeoutError = (task) => {
+  return new TaskTimeoutError(
+    `Task "${task.name}" timed out after ${task.timeout}ms`,
+    task.id,
+    task.name,
+    task.timeout
+  );
+};
+
+/**
+ * Creates an AbortController that is also aborted when the parent signal aborts
+ * @param {AbortSignal} [signal] - Parent signal, usually the run's signal
+ * @returns {Object} { controller, release } - call release() once the controller is no longer needed
+ */
+const createLinkedController = (signal) => {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  return {
+    controller,
+    release: () => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  };
+};
+
+/**
+ * Runs an operation under the task's `timeout` and the run's AbortSignal.
+ * The operation receives its own signal, which is aborted on timeout or
+ * cancellation so that it can clear its pending timers.
+ * @param {Object} task - Task being processed
+ * @param {AbortSignal} [signal] - Run-level cancellation signal
+ * @param {Function} operation - (signal) => Promise
+ * @returns {Promise<*>} Resolves with the operation's value
+ * @throws {TaskTimeoutError} If the task exceeds its timeout
+ * @throws {TaskCancelledError} If the run is cancelled
+ */
+const runWithDeadline = (task, signal, operation) => {
+  if (signal && signal.aborted) {
+    return Promise.reject(createCancelledError(task));
+  }
+
+  const controller = new AbortController();
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+
+    const cleanup = () => {
+      clock.clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    const fail = (error) => {
+      cleanup();
+      controller.abort();
+      reject(error);
+    };
+    const onAbort = () => fail(createCancelledError(task));
+
+    if (task.timeout) {
+      timer = clock.setTimeout(() => fail(createTimeoutError(task)), task.timeout);
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    operation(controller.signal).then(
+      (value) => {
+        cleanup();
+        resolve(value);
+      },
+      (error) => {
+        cleanup();
+        reject(error);
+      }
+    );
+  });
+};
+
+/**
+ * Reads and validates the concurrency option used by the pool runners
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency] - Maximum number of tasks in flight
+ * @returns {number} Validated concurrency limit
+ * @throws {Error} If concurrency is not a positive integer
+ */
+const resolveConcurrency = (options = {}) => {
+  const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : options.concurrency;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('Concurrency must be a positive integer');
+  }
+  return concurrency;
+};
+
+/**
+ * Converts a task's `priority` field into a number.
+ * Accepts the named levels in PRIORITY_LEVELS or any finite number.
+ * @param {Object} task - Task declaring an optional priority
+ * @returns {number} Numeric priority, higher runs first
+ * @throws {TaskValidationError} If the priority is neither a known level nor a number
+ */
+const resolveTaskPriority = (task) => {
+  const priority = task && task.priority !== undefined ? task.priority : DEFAULT_PRIORITY;
+
+  if (typeof priority === 'number' && Number.isFinite(priority)) {
+    return priority;
+  }
+  if (Object.prototype.hasOwnProperty.call(PRIORITY_LEVELS, priority)) {
+    return PRIORITY_LEVELS[priority];
+  }
+
+  throw new TaskValidationError(
+    `Task priority must be a number or one of: ${Object.keys(PRIORITY_LEVELS).join(', ')}`,
+    task
+  );
+};
+
+/**
+ * Emits a lifecycle event on the run's emitter, if the caller provided one.
+ * Every payload carries the run id so listeners can tell concurrent runs apart.
+ * @param {Object} options - Run options holding `emitter` and `runId`
+ * @param {string} event - Event name, e.g. 'task:start'
+ * @param {Object} payload - Event payload
+ */
+const emitEvent = (options, event, payload) => {
+  recordEventMetrics(event, payload);
+  logEvent(event, { runId: (options && options.runId) || null, ...payload });
+  if (options && options.emitter) {
+    options.emitter.emit(event, { runId: options.runId || null, ...payload });
+  }
+};
+
+/**
+ * Identifying fields of a task shared by every task event payload
+ * @param {Object} task - Task the event is about
+ * @returns {Object} { taskId, taskName, type, priority }
+ */
+const describeTask = (task) => {
+  const { id = null, name = null, type = null, priority = null } = task || {};
+  return { taskId: id, taskName: name, type, priority };
+};
+
+/**
+ * Emits `task:queued` for tasks that were handed to a runner
+ * @param {Array<Object>} tasks - Queued tasks
+ * @param {Object} options - Run options holding `emitter` and `runId`
+ */
+const emitQueued = (tasks, options) => {
+  tasks.forEach((task) => {
+    markQueued(task);
+    emitEvent(options, 'task:queued', describeTask(task));
+  });
+};
+
+/**
+ * Creates the queue a runner pulls its tasks from.
+ * Entries are { task, index } so runners can still place results by input position.
+ * @param {Array<Object>} tasks - Tasks to enqueue
+ * @param {Object} [options] - Scheduling options
+ * @param {string} [options.scheduling='fifo'] - 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority gained per task started ahead of a waiting one
+ * @returns {FifoQueue|PriorityQueue} Queue holding every task
+ * @throws {TaskValidationError} If a task declares an invalid priority
+ */
+const createTaskQueue = (tasks, options = {}) => {
+  const { scheduling = 'fifo', aging = 0 } = options;
+
+  if (!SCHEDULING_MODES.includes(scheduling)) {
+    throw new Error(`Scheduling must be one of: ${SCHEDULING_MODES.join(', ')}`);
+  }
+  emitQueued(tasks, options);
+
+  if (scheduling === 'fifo') {
+    const queue = new FifoQueue();
+    tasks.forEach((task, index) => queue.enqueue({ task, index }));
+    return queue;
+  }
+
+  const queue = new PriorityQueue({ aging });
+  try {
+    tasks.forEach((task, index) => queue.enqueue({ task, index }, resolveTaskPriority(task)));
+  } catch (error) {
+    releaseQueued(tasks);
+    throw error;
+  }
+  return queue;
+};
+
+/**
+ * Builds the retry policy of a task from its `retries`, `backoff`,
+ * `initialDelay`, `maxDelay` and `jitter` fields
+ * @param {Object} task - Task declaring an optional retry policy
+ * @returns {Object} Retry policy with defaults applied
+ * @throws {TaskValidationError} If a policy field is invalid
+ */
+const resolveRetryPolicy = (task) => {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  ['retries', 'backoff', 'initialDelay', 'maxDelay', 'jitter'].forEach((field) => {
+    if (task[field] !== undefined) {
+      policy[field] = task[field];
+    }
+  });
+
+  if (!Number.isInteger(policy.retries) || policy.retries < 0) {
+    throw new TaskValidationError('Task retries must be a non-negative integer', task);
+  }
+  if (!BACKOFF_STRATEGIES.includes(policy.backoff)) {
+    throw new TaskValidationError(`Task backoff must be one of: ${BACKOFF_STRATEGIES.join(', ')}`, task);
+  }
+  if (typeof policy.initialDelay !== 'number' || policy.initialDelay < 0) {
+    throw new TaskValidationError('Task initialDelay must be a non-negative number', task);
+  }
+  if (typeof policy.maxDelay !== 'number' || policy.maxDelay < policy.initialDelay) {
+    throw new TaskValidationError('Task maxDelay must be a number not lower than initialDelay', task);
+  }
+  if (policy.jitter === true) {
+    policy.jitter = 1;
+  } else if (policy.jitter === false) {
+    policy.jitter = 0;
+  }
+  if (typeof policy.jitter !== 'number' || policy.jitter < 0 || policy.jitter > 1) {
+    throw new TaskValidationError('Task jitter must be a boolean or a ratio between 0 and 1', task);
+  }
+
+  return policy;
+};
+
+/**
+ * Computes how long to wait before the next attempt.
+ * Exponential backoff doubles the delay after every failure, capped at maxDelay;
+ * jitter then removes a random share (up to `jitter`) of that delay.
+ * @param {Object} policy - Retry policy from resolveRetryPolicy()
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+const computeRetryDelay = (policy, attempt) => {
+  const baseDelay = policy.backoff === 'exponential'
+    ? policy.initialDelay * Math.pow(2, attempt - 1)
+    : policy.initialDelay;
+  const cappedDelay = Math.min(baseDelay, policy.maxDelay);
+  return Math.round(cappedDelay - cappedDelay * policy.jitter * Math.random());
+};
+
+/**
+ * Decides whether a failed attempt may be retried.
+ * Validation errors are permanent - running the same task again cannot fix them -
+ * a cancelled task must not start again, and an open circuit should shed load
+ * rather than queue up retries.
+ * @param {Error} error - Error thrown by the attempt
+ * @returns {boolean} True if the task should be retried
+ */
+const isRetryableError = (error) => {
+  return !(error instanceof TaskValidationError) &&
+    !(error instanceof TaskCancelledError) &&
+    !(error instanceof CircuitOpenError);
+};
+
+/**
+ * Converts an error into a plain object that can be stored in results.
+ * Keeps the stack and the context fields of the runner's error classes
+ * (taskId, taskName, timeout, ...) and serializes the `cause` as well.
+ * @param {Error} error - Error to serialize
+ * @returns {Object|null} Serialized error
+ */
+const serializeError = (error) => {
+  if (!error) {
+    return null;
+  }
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error) };
+  }
+
+  const serialized = { name: error.name, message: error.message, stack: error.stack };
+  Object.keys(error).forEach((key) => {
+    const value = error[key];
+    if (key !== 'attempts' && key !== 'cause' && (value === null || typeof value !== 'object')) {
+      serialized[key] = value;
+    }
+  });
+  if (error.cause) {
+    serialized.cause = serializeError(error.cause);
+  }
+  return serialized;
+};
+
+/**
+ * Builds the canonical result record returned by every runner
+ * @param {Object} task - Task the result belongs to
+ * @param {Object} fields - Result fields
+ * @param {string} fields.status - 'completed', 'failed', 'cancelled' or 'skipped'
+ * @param {number|null} [fields.startedAt] - Start timestamp in milliseconds
+ * @param {number} [fields.finishedAt=clock.now()] - Finish timestamp in milliseconds
+ * @param {Array<Object>} [fields.attempts=[]] - Attempt records
+ * @param {*} [fields.output] - Value returned by the task's handler
+ * @param {Error} [fields.error] - Error that ended the task
+ * @param {boolean} [fields.cached=false] - Whether the output came from the result cache
+ * @returns {Object} { id, name, type, status, startedAt, finishedAt, duration, throttled, cached, attempts, output, error }
+ */
+const createTaskResult = (task, fields) => {
+  const {
+    status,
+    startedAt = null,
+    finishedAt = clock.now(),
+    attempts = [],
+    output = null,
+    error = null,
+    cached = false,
+    ...extra
+  } = fields;
+  const { id = null, name = null, type = null } = task || {};
+
+  return {
+    id,
+    name,
+    type,
+    status,
+    startedAt,
+    finishedAt,
+    duration: startedAt === null ? 0 : finishedAt - startedAt,
+    throttled: attempts.reduce((total, record) => total + (record.throttled || 0), 0),
+    cached,
+    attempts,
+    output: output === undefined ? null : output,
+    error: serializeError(error),
+    ...extra
+  };
+};
+
+/**
+ * Builds the result record of a task that ended with an error.
+ * Cancelled tasks get the 'cancelled' status, every other error 'failed'.
+ * @param {Object} task - Task that failed
+ * @param {Error} error - Error that ended the task, optionally carrying `attempts`
+ * @returns {Object} Canonical result record
+ */
+const createFailedResult = (task, error) => {
+  const attempts = (error && error.attempts) || [];
+  const finishedAt = clock.now();
+  return createTaskResult(task, {
+    status: error instanceof TaskCancelledError ? 'cancelled' : 'failed',
+    startedAt: attempts.length > 0 ? attempts[0].startedAt : finishedAt,
+    finishedAt,
+    attempts,
+    error
+  });
+};
+
+/**
+ * Records the timing and outcome of one attempt at a task
+ * @param {number} attempt - Attempt number (1-based)
+ * @param {number} startedAt - Start timestamp in milliseconds
+ * @param {Error|null} error - Error thrown by the attempt, if any
+ * @param {number} [throttled=0] - Time in ms the attempt waited for a rate limit before starting
+ * @returns {Object} Attempt record
+ */
+const createAttemptRecord = (attempt, startedAt, error = null, throttled = 0) => {
+  const finishedAt = clock.now();
+  return {
+    attempt,
+    startedAt,
+    finishedAt,
+    duration: finishedAt - startedAt,
+    throttled,
+    error: serializeError(error)
+  };
+};
+
+/**
+ * Builds the AggregateError thrown when tasks of a collect-all run failed
+ * @param {Array<Object>} results - Result records of the run
+ * @param {Array<Error>} errors - Original errors, indexed like `results`
+ * @returns {AggregateError|null} Error listing every failed task, or null if none failed
+ */
+const createSettledFailure = (results, errors) => {
+  const failedIndexes = results
+    .map((result, index) => (result.status === 'completed' ? -1 : index))
+    .filter((index) => index !== -1);
+  if (failedIndexes.length === 0) {
+    return null;
+  }
+
+  const failedTasks = failedIndexes.map((index) => ({ id: results[index].id, name: results[index].name }));
+  const failedList = failedTasks.map(({ id, name }) => `${id} ("${name}")`).join(', ');
+  const error = new AggregateError(
+    failedIndexes.map((index) => errors[index]),
+    `${failedIndexes.length} of ${results.length} tasks failed: ${failedList}`
+  );
+  error.failedTasks = failedTasks;
+  error.results = results;
+  return error;
+};
+
+/**
+ * Checks that a value is a task object with an id and a name
+ * @param {Object} task - Task object to check
+ * @throws {TaskValidationError} If task is not an object or lacks id/name
+ */
+const validateTaskShape = (task) => {
+  if (!task || typeof task !== 'object') {
+    throw new TaskValidationError('Task must be an object', task);
+  }
+  if (!task.id || !task.name) {
+    throw new TaskValidationError('Task must have id and name properties', task);
+  }
+};
+
+/**
+ * Validates a task object
+ * @param {Object} task - Task object to validate
+ * @throws {TaskValidationError} If task is invalid
+ */
+const validateTask = (task) => {
+  validateTaskShape(task);
+  if (task.timeout !== undefined && (typeof task.timeout !== 'number' || task.timeout <= 0)) {
+    throw new TaskValidationError('Task timeout must be a positive number of milliseconds', task);
+  }
+  if (task.idempotencyKey !== undefined && (typeof task.idempotencyKey !== 'string' || task.idempotencyKey.trim() === '')) {
+    throw new TaskValidationError('Task idempotencyKey must be a non-empty string', task);
+  }
+  resolveCachePolicy(task);
+  if (task.runIn !== undefined && !RUN_IN_MODES.includes(task.runIn)) {
+    throw new TaskValidationError(`Task runIn must be one of: ${RUN_IN_MODES.join(', ')}`, task);
+  }
+  if (task.type !== undefined && !handlers.has(task.type)) {
+    throw new TaskValidationError(
+      `Unknown task type "${task.type}" - register a handler with registerHandler() first`,
+      task
+    );
+  }
+};
+
+/**
+ * Validates a parsed task file against the task schema in taskSchema.js.
+ * Every problem is reported at once rather than stopping at the first one.
+ * @param {Array<Object>} tasks - Parsed contents of a task file
+ * @returns {Array<Object>} The same tasks, when valid
+ * @throws {TaskValidationError} Listing each problem; `issues` holds { path, reason } entries
+ */
+const validateTaskFile = (tasks) => {
+  const issues = checkTaskFile(tasks);
+  if (issues.length > 0) {
+    const error = new TaskValidationError(formatIssues(issues), null);
+    error.issues = issues;
+    throw error;
+  }
+  return tasks;
+};
+
+// ============================================================================
+// LOGGING
+// ============================================================================
+
+/**
+ * Logger used when none is installed: pretty lines at info level, unless the
+ * LOG_LEVEL and LOG_FORMAT environment variables say otherwise
+ */
+const defaultLogger = createLogger();
+
+let logger = defaultLogger;
+
+/**
+ * Installs the logger used by the runners and the command line. Pass
+ * `silentLogger` to keep the library quiet when embedding it.
+ * @param {Object} [nextLogger] - Logger, or any object with debug, info, warn and error methods
+ *   taking (message, fields); omit to restore the default logger
+ * @returns {Object} The logger that was active before
+ */
+const setLogger = (nextLogger = defaultLogger) => {
+  const required = ['debug', 'info', 'warn', 'error'];
+  if (!nextLogger || !required.every((method) => typeof nextLogger[method] === 'function')) {
+    throw new TypeError(`A logger must implement ${required.join(', ')}`);
+  }
+  const previous = logger;
+  logger = nextLogger;
+  return previous;
+};
+
+/**
+ * Logs a lifecycle event at debug level, with the run and task it belongs to
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload including `runId`
+ */
+const logEvent = (event, payload) => {
+  const { runId, mode, taskCount, taskId, taskName, attempt, delay: retryDelay, duration, error, result } = payload;
+  logger.debug(event, {
+    runId,
+    mode,
+    taskCount,
+    taskId,
+    taskName,
+    attempt,
+    retryDelay,
+    status: result ? result.status : undefined,
+    duration,
+    error: error ? error.message : undefined
+  });
+};
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+/**
+ * Metrics of every run in this process, labelled by task type and priority.
+ * Render them with `metrics.render()`, e.g. from a /metrics endpoint.
+ */
+const metrics = new MetricsRegistry();
+
+const TASK_LABELS = ['type', 'priority'];
+
+const taskMetrics = {
+  started: metrics.counter({
+    name: 'task_runner_tasks_started_total',
+    help: 'Tasks whose first attempt started',
+    labelNames: TASK_LABELS
+  }),
+  succeeded: metrics.counter({
+    name: 'task_runner_tasks_succeeded_total',
+    help: 'Tasks that completed, including results served from the cache',
+    labelNames: TASK_LABELS
+  }),
+  failed: metrics.counter({
+    name: 'task_runner_tasks_failed_total',
+    help: 'Tasks that failed after their last attempt',
+    labelNames: TASK_LABELS
+  }),
+  cancelled: metrics.counter({
+    name: 'task_runner_tasks_cancelled_total',
+    help: 'Tasks cancelled by their run',
+    labelNames: TASK_LABELS
+  }),
+  retried: metrics.counter({
+    name: 'task_runner_task_retries_total',
+    help: 'Retries scheduled after a failed attempt',
+    labelNames: TASK_LABELS
+  }),
+  duration: metrics.histogram({
+    name: 'task_runner_task_duration_seconds',
+    help: 'Time from first attempt to completion or final failure',
+    labelNames: TASK_LABELS,
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+  }),
+  queued: metrics.gauge({
+    name: 'task_runner_queue_depth',
+    help: 'Tasks handed to a runner that it has not picked up yet',
+    labelNames: TASK_LABELS
+  }),
+  running: metrics.gauge({
+    name: 'task_runner_tasks_running',
+    help: 'Handler calls in progress',
+    labelNames: TASK_LABELS
+  })
+};
+
+/**
+ * Queue depth contributed by each task object; a task may be queued by several runs
+ */
+const queuedCounts = new WeakMap();
+
+/**
+ * Metric labels of a task or of an event payload
+ * @param {Object} subject - Task, or payload from describeTask()
+ * @returns {Object} { type, priority }
+ */
+const metricLabels = (subject) => {
+  const { type, priority } = subject || {};
+  return {
+    type: type === undefined || type === null ? 'none' : type,
+    priority: priority === undefined || priority === null ? DEFAULT_PRIORITY : priority
+  };
+};
+
+/**
+ * Updates the task counters and the duration histogram for a lifecycle event
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const recordEventMetrics = (event, payload) => {
+  const labels = metricLabels(payload);
+  switch (event) {
+    case 'task:start':
+      if (payload.attempt === 1) {
+        taskMetrics.started.inc(labels);
+      }
+      break;
+    case 'task:retry':
+      taskMetrics.retried.inc(labels);
+      break;
+    case 'task:success':
+      taskMetrics.succeeded.inc(labels);
+      if (!payload.result.cached) {
+        taskMetrics.duration.observe(labels, payload.result.duration / 1000);
+      }
+      break;
+    case 'task:failure':
+      if (payload.result.status === 'cancelled') {
+        taskMetrics.cancelled.inc(labels);
+      } else {
+        taskMetrics.failed.inc(labels);
+        taskMetrics.duration.observe(labels, payload.result.duration / 1000);
+      }
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Counts a task as waiting in a runner's queue
+ * @param {Object} task - Task handed to a runner
+ */
+const markQueued = (task) => {
+  if (!task || typeof task !== 'object') {
+    return;
+  }
+  queuedCounts.set(task, (queuedCounts.get(task) || 0) + 1);
+  taskMetrics.queued.inc(metricLabels(task));
+};
+
+/**
+ * Stops counting a task as queued
+ * @param {Object} task - Task being processed
+ */
+const markDequeued = (task) => {
+  const count = task && typeof task === 'object' ? queuedCounts.get(task) : 0;
+  if (count) {
+    queuedCounts.set(task, count - 1);
+    taskMetrics.queued.dec(metricLabels(task));
+  }
+};
+
+/**
+ * Stops counting a task as queued once a runner picks it up. The nested
+ * calls made by runIdempotent() and runCached() are not counted again.
+ * @param {Object} task - Task being processed
+ * @param {Object} options - Run options
+ */
+const markPickedUp = (task, options) => {
+  if (!options[IDEMPOTENCY_CLAIMED] && !options[CACHE_CHECKED]) {
+    markDequeued(task);
+  }
+};
+
+/**
+ * Stops counting tasks that were queued but will never be picked up
+ * @param {Array<Object>} tasks - Tasks passed to emitQueued()
+ */
+const releaseQueued = (tasks) => {
+  tasks.forEach(markDequeued);
+};
+
+/**
+ * Empties the queue of a run that stopped early, e.g. because a task failed,
+ * so its remaining tasks no longer count as queued
+ * @param {FifoQueue|PriorityQueue} queue - Queue from createTaskQueue()
+ */
+const discardQueue = (queue) => {
+  while (queue.size > 0) {
+    markDequeued(queue.dequeue().task);
+  }
+};
+
+/**
+ * Request handler serving the metrics of this process at /metrics, in the
+ * Prometheus text format; other paths get 404 and methods other than GET and
+ * HEAD get 405. Mount it in the process that runs the tasks - the registry
+ * only sees runs of its own process.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+const handleMetricsRequest = (req, res) => {
+  if (new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found\n');
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+    res.end('Method not allowed\n');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+  res.end(req.method === 'HEAD' ? undefined : metrics.render());
+};
+
+/**
+ * Starts an HTTP server exposing this process's metrics at /metrics
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=9464] - Port to listen on; 0 picks a free one
+ * @param {string} [options.host] - Address to bind; all interfaces by default
+ * @returns {Promise<http.Server>} Resolves once the server is listening
+ */
+const startMetricsServer = (options = {}) => {
+  const { port = 9464, host } = options;
+  const server = http.createServer(handleMetricsRequest);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+};
+
+// ============================================================================
+// TRACING
+// ============================================================================
+
+/**
+ * Where finished spans go; tracing of tasks is off while no exporter is set
+ */
+const tracing = {
+  exporter: null
+};
+
+/**
+ * Turns tracing on or off. With an exporter, every TaskRunner run, task and
+ * attempt produces a span.
+ * @param {Object} [options] - Tracing options
+ * @param {Object|null} [options.exporter=null] - MemorySpanExporter, FileSpanExporter or any
+ *   object with async export(spans); null turns tracing off
+ */
+const configureTracing = (options = {}) => {
+  const { exporter = null } = options;
+  if (exporter !== null && (typeof exporter !== 'object' || typeof exporter.export !== 'function')) {
+    throw new Error('A span exporter must implement export(spans)');
+  }
+  tracing.exporter = exporter;
+};
+
+/**
+ * Waits until the exporter has written every span handed to it so far
+ * @returns {Promise<void>}
+ */
+const flushTracing = async () => {
+  const { exporter } = tracing;
+  if (exporter && typeof exporter.forceFlush === 'function') {
+    await exporter.forceFlush();
+  }
+};
+
+/**
+ * Hands a finished span to the exporter. Export failures never fail a task;
+ * they are logged as warnings.
+ * @param {Span} span - Finished span
+ */
+const exportSpan = (span) => {
+  const { exporter } = tracing;
+  if (!exporter) {
+    return;
+  }
+  Promise.resolve()
+    .then(() => exporter.export([span]))
+    .catch((error) => logger.warn('Span export failed', { spanName: span.name, error }));
+};
+
+/**
+ * Starts a span that is exported when it ends. Pass `span.context()` as the
+ * `trace` option of a runner to group its task spans under this span.
+ * @param {string} name - Operation name
+ * @param {Object} [options] - Span options
+ * @param {Span|Object} [options.parent] - Parent span or span context; omit to start a new trace
+ * @param {Object} [options.attributes] - Attributes by name
+ * @returns {Span}
+ */
+const startSpan = (name, options = {}) => {
+  return new Span(name, { ...options, onEnd: exportSpan });
+};
+
+const NO_TRACE = {
+  attemptStarted: () => {},
+  retrying: () => {},
+  end: () => {}
+};
+
+/**
+ * Starts the span of one task execution; each attempt gets a child span
+ * @param {Object} task - Task being processed
+ * @param {Object} options - Run options holding `trace` and `runId`
+ * @returns {Object} { attemptStarted(attempt), retrying(error, delay), end(error) }
+ */
+const startTaskTrace = (task, options) => {
+  if (!tracing.exporter) {
+    return NO_TRACE;
+  }
+
+  const { id, name, type, priority, dependsOn } = task || {};
+  const attributes = {
+    'task.id': id,
+    'task.name': name,
+    'task.type': type,
+    'task.priority': priority === undefined || priority === null ? DEFAULT_PRIORITY : priority,
+    'task.depends_on': Array.isArray(dependsOn) ? dependsOn : undefined,
+    'run.id': options.runId
+  };
+  const taskSpan = startSpan(`task ${name}`, { parent: options.trace, attributes });
+  let attemptSpan = null;
+
+  return {
+    attemptStarted: (attempt) => {
+      attemptSpan = startSpan(`task ${name} attempt ${attempt}`, {
+        parent: taskSpan,
+        attributes: { ...attributes, 'task.attempt': attempt }
+      });
+    },
+    retrying: (error, retryDelay) => {
+      attemptSpan.end(error);
+      attemptSpan = null;
+      taskSpan.addEvent('retry', { 'retry.delay_ms': retryDelay });
+    },
+    end: (error) => {
+      if (attemptSpan) {
+        attemptSpan.end(error);
+      }
+      taskSpan.end(error);
+    }
+  };
+};
+
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+
+/**
+ * Token buckets shared by every runner, keyed by task type or `rateLimitKey`
+ */
+const rateLimiter = new RateLimiter();
+
+/**
+ * Limits how often tasks with a given type or `rateLimitKey` may start
+ * @param {string} key - Task type, or the `rateLimitKey` of a group of tasks
+ * @param {Object} limit - Token bucket settings
+ * @param {number} limit.rate - Task starts allowed per `per`
+ * @param {number|string} [limit.per=1000] - Period in ms, or a duration such as "1s"
+ * @param {number} [limit.burst=rate] - Task starts allowed back to back before waiting
+ */
+const setRateLimit = (key, limit) => {
+  rateLimiter.set(key, limit);
+};
+
+/**
+ * Removes the rate limit for a key
+ * @param {string} key - Task type or rate limit key
+ * @returns {boolean} True if a limit was removed
+ */
+const clearRateLimit = (key) => rateLimiter.delete(key);
+
+/**
+ * Waits for the task's rate limit before an attempt starts. Emits
+ * `task:throttled` when the attempt has to wait.
+ * @param {Object} task - Task about to run
+ * @param {Object} options - Run options holding `signal`, `emitter` and `runId`
+ * @param {Array<Object>} attempts - Attempts made so far
+ * @returns {Promise<number>} Resolves with the time spent waiting in ms
+ * @throws {TaskCancelledError} If the run is cancelled while waiting; carries `attempts`
+ */
+const acquireRateLimit = (task, options, attempts) => {
+  const key = task.rateLimitKey || task.type;
+  const onThrottle = (wait) => {
+    emitEvent(options, 'task:throttled', { ...describeTask(task), key, attempt: attempts.length + 1, wait });
+  };
+
+  return rateLimiter.acquire(key, { signal: options.signal, onThrottle }).catch(() => {
+    const cancelled = createCancelledError(task);
+    cancelled.attempts = attempts;
+    throw cancelled;
+  });
+};
+
+// ============================================================================
+// CIRCUIT BREAKERS
+// ============================================================================
+
+/**
+ * Circuit breakers shared by every runner, keyed by task type. Subscribe to
+ * `circuit:open`, `circuit:half-open` and `circuit:closed` to follow them.
+ */
+const circuitBreakers = new CircuitBreakerRegistry();
+
+/**
+ * Guards a task type with a circuit breaker
+ * @param {string} type - Task type
+ * @param {Object} [options] - Breaker settings
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+ * @param {number|string} [options.cooldown=30000] - Time the circuit stays open, in ms or as a duration such as "30s"
+ * @param {number} [options.halfOpenMax=1] - Trial tasks allowed at once while half-open
+ */
+const setCircuitBreaker = (type, options = {}) => {
+  circuitBreakers.set(type, options);
+};
+
+/**
+ * Removes the circuit breaker of a task type
+ * @param {string} type - Task type
+ * @returns {boolean} True if a breaker was removed
+ */
+const clearCircuitBreaker = (type) => circuitBreakers.delete(type);
+
+/**
+ * Asks the breaker of the task's type to let an attempt start
+ * @param {Object} task - Task about to run
+ * @param {Array<Object>} attempts - Attempts made so far
+ * @throws {CircuitOpenError} If the circuit is open; carries `attempts`
+ */
+const enterCircuit = (task, attempts) => {
+  const breaker = circuitBreakers.get(task.type);
+  if (!breaker || breaker.tryAcquire()) {
+    return;
+  }
+
+  const error = new CircuitOpenError(
+    `Circuit for task type "${task.type}" is ${breaker.state} - task "${task.name}" was not started`,
+    task.id,
+    task.name,
+    task.type,
+    breaker.retryAt
+  );
+  error.attempts = attempts;
+  throw error;
+};
+
+/**
+ * Reports the outcome of an attempt admitted by enterCircuit(). Only errors
+ * that would be retried count as failures of the task type.
+ * @param {Object} task - Task that ran
+ * @param {Error|null} error - Error of the attempt, or null if it succeeded
+ */
+const exitCircuit = (task, error) => {
+  const breaker = circuitBreakers.get(task.type);
+  if (!breaker) {
+    return;
+  }
+  if (!error) {
+    breaker.recordSuccess();
+  } else if (isRetryableError(error)) {
+    breaker.recordFailure();
+  } else {
+    breaker.release();
+  }
+};
+
+// ============================================================================
+// IDEMPOTENCY KEYS
+// ============================================================================
+
+const DEFAULT_IDEMPOTENCY_WINDOW = '24h';
+const DEFAULT_CLAIM_TIMEOUT = '10m';
+
+/**
+ * How often a submission waiting on another process's claim checks the store, in ms
+ */
+const CLAIM_POLL_INTERVAL = 100;
+
+/**
+ * Where completed keyed tasks are remembered, for how long, and how long a
+ * claim of a running task holds
+ */
+let idempotency = {
+  store: new MemoryIdempotencyStore(),
+  window: parseInterval(DEFAULT_IDEMPOTENCY_WINDOW),
+  claimTimeout: parseInterval(DEFAULT_CLAIM_TIMEOUT)
+};
+
+/**
+ * Executions in progress, keyed by idempotency key, shared by every run in the process
+ */
+const idempotentExecutions = new Map();
+
+/**
+ * Marks options whose task has already claimed its idempotency key
+ */
+const IDEMPOTENCY_CLAIMED = Symbol('idempotencyClaimed');
+
+/**
+ * Sets the store and window used for tasks with an `idempotencyKey`
+ * @param {Object} [options] - Idempotency settings
+ * @param {Object} [options.store] - MemoryIdempotencyStore (default), FileIdempotencyStore or any
+ *   object with async get(key), set(key, record) and delete(key)
+ * @param {number|string} [options.window='24h'] - How long a completed result is reused, in ms or as a duration
+ * @param {number|string} [options.claimTimeout='10m'] - How long the claim of a running task keeps other
+ *   processes waiting; a claim older than this is taken over, e.g. after a crash
+ */
+const configureIdempotency = (options = {}) => {
+  const {
+    store = new MemoryIdempotencyStore(),
+    window = DEFAULT_IDEMPOTENCY_WINDOW,
+    claimTimeout = DEFAULT_CLAIM_TIMEOUT
+  } = options;
+  if (!store || !['get', 'set', 'delete'].every((method) => typeof store[method] === 'function')) {
+    throw new TypeError('Idempotency store must implement get, set and delete');
+  }
+  idempotency = { store, window: parseInterval(window), claimTimeout: parseInterval(claimTimeout) };
+};
+
+/**
+ * Forgets the result stored for a key, so the next submission runs again
+ * @param {string} key - Idempotency key
+ * @returns {Promise<boolean>} True if a result was removed
+ */
+const forgetIdempotencyKey = (key) => idempotency.store.delete(key);
+
+/**
+ * Whether a task must go through runIdempotent() before running. Invalid keys
+ * are left to validateTask(), which fails the task like any other bad field.
+ * @param {Object} task - Task about to run
+ * @param {Object} options - Run options
+ * @returns {boolean}
+ */
+const needsIdempotencyClaim = (task, options) => {
+  return Boolean(task) && typeof task.idempotencyKey === 'string' && task.idempotencyKey.trim() !== '' &&
+    !options[IDEMPOTENCY_CLAIMED];
+};
+
+/**
+ * Claims a key in a store shared with other processes. While another process
+ * holds the claim, waits until it stores a result or gives the key up.
+ * @param {Object} task - Task with an `idempotencyKey`
+ * @param {Object} options - Run options
+ * @param {Object} store - Store implementing claim() and release()
+ * @returns {Promise<Object>} { claimId } once claimed, or { record } if the key completed meanwhile
+ * @throws {TaskCancelledError} If the run is cancelled while waiting
+ */
+const claimIdempotencyKey = async (task, options, store) => {
+  const key = task.idempotencyKey;
+  const claimId = randomUUID();
+  while (true) {
+    const claimedAt = clock.now();
+    const outcome = await store.claim(key, {
+      key,
+      claimId,
+      runId: options.runId || null,
+      pending: true,
+      claimedAt,
+      expiresAt: claimedAt + idempotency.claimTimeout
+    });
+    if (outcome.claimed) {
+      return { claimId };
+    }
+    if (outcome.record) {
+      return { record: outcome.record };
+    }
+    await delay(CLAIM_POLL_INTERVAL, options.signal).catch(() => {
+      throw createCancelledError(task);
+    });
+  }
+};
+
+/**
+ * Runs a keyed task at most once per window. A submission whose key is being
+ * executed joins that execution - in another process too, if the store
+ * supports claims; one whose key completed within the window gets the stored
+ * result. Either way `task:deduplicated` is emitted and the task does not
+ * run. Only completed results are stored: after a failure the next submission
+ * runs again.
+ * @param {Object} task - Task with an `idempotencyKey`
+ * @param {Object} options - Run options
+ * @param {Function} execute - (claimedOptions) => Promise<result> that runs the task
+ * @returns {Promise<Object>} Resolves with the result record
+ */
+const runIdempotent = async (task, options, execute) => {
+  const key = task.idempotencyKey;
+  const onDuplicate = (source, original) => {
+    emitEvent(options, 'task:deduplicated', { ...describeTask(task), idempotencyKey: key, source, originalRunId: original });
+  };
+
+  const running = idempotentExecutions.get(key);
+  if (running) {
+    onDuplicate('in-flight', running.runId);
+    return running.promise;
+  }
+
+  // Claim the key before the first await so a concurrent submission joins this one
+  const execution = { runId: options.runId || null, promise: null };
+  idempotentExecutions.set(key, execution);
+  execution.promise = (async () => {
+    const { store, window } = idempotency;
+    const claims = typeof store.claim === 'function' && typeof store.release === 'function';
+    const { record, claimId } = claims ? await claimIdempotencyKey(task, options, store) : { record: await store.get(key) };
+    if (record) {
+      onDuplicate('store', record.runId);
+      return record.result;
+    }
+
+    let result;
+    try {
+      result = await execute({ ...options, [IDEMPOTENCY_CLAIMED]: true });
+    } catch (error) {
+      if (claims) {
+        // Give the key up so the next submission runs again
+        await store.release(key, claimId).catch((releaseError) => {
+          logger.warn('Could not release idempotency claim', { runId: execution.runId, taskId: task.id, idempotencyKey: key, error: releaseError });
+        });
+      }
+      throw error;
+    }
+    const storedAt = clock.now();
+    try {
+      await store.set(key, { key, runId: execution.runId, result, storedAt, expiresAt: storedAt + window });
+    } catch (error) {
+      // The task did succeed; failing it now would invite a second run
+      logger.warn('Could not store idempotency record', { runId: execution.runId, taskId: task.id, idempotencyKey: key, error });
+    }
+    return result;
+  })();
+
+  try {
+    return await execution.promise;
+  } finally {
+    idempotentExecutions.delete(key);
+  }
+};
+
+// ============================================================================
+// RESULT CACHE
+// ============================================================================
+
+const DEFAULT_CACHE_TTL = '5m';
+
+/**
+ * Store holding the outputs of tasks that opted into `cache`
+ */
+let resultCache = new MemoryResultCache();
+
+/**
+ * Marks options whose task has already been looked up in the result cache
+ */
+const CACHE_CHECKED = Symbol('cacheChecked');
+
+/**
+ * Sets the store used by tasks with a `cache` policy
+ * @param {Object} [options] - Cache settings
+ * @param {Object} [options.store] - MemoryResultCache (default), FileResultCache or any object
+ *   with async get(key), set(key, entry), delete(key) and clear()
+ */
+const configureResultCache = (options = {}) => {
+  const { store = new MemoryResultCache() } = options;
+  if (!store || !['get', 'set', 'delete', 'clear'].every((method) => typeof store[method] === 'function')) {
+    throw new TypeError('Result cache store must implement get, set, delete and clear');
+  }
+  resultCache = store;
+};
+
+/**
+ * Builds the cache policy of a task from its `cache` field. `cache: true`
+ * uses the defaults; an object may set `ttl` and `key`.
+ * @param {Object} task - Task declaring an optional cache policy
+ * @returns {Object|null} { key, ttl } with ttl in ms, or null if the task is not cached
+ * @throws {TaskValidationError} If the policy is invalid
+ */
+const resolveCachePolicy = (task) => {
+  const { cache } = task;
+  if (cache === undefined || cache === false) {
+    return null;
+  }
+  if (cache !== true && (!cache || typeof cache !== 'object' || Array.isArray(cache))) {
+    throw new TaskValidationError('Task cache must be true or an object with optional ttl and key', task);
+  }
+
+  const { ttl = DEFAULT_CACHE_TTL, key } = cache === true ? {} : cache;
+  if (key !== undefined && (typeof key !== 'string' || key.trim() === '')) {
+    throw new TaskValidationError('Task cache key must be a non-empty string', task);
+  }
+  let ttlMs;
+  try {
+    ttlMs = parseInterval(ttl);
+  } catch (error) {
+    throw new TaskValidationError(`Task cache ttl is invalid: ${error.message}`, task);
+  }
+  return { key: key === undefined ? contentKey(task) : key, ttl: ttlMs };
+};
+
+/**
+ * Whether a task must go through runCached() before running. Invalid
+ * policies are left to validateTask(), which fails the task.
+ * @param {Object} task - Task about to run
+ * @param {Object} options - Run options
+ * @returns {boolean}
+ */
+const needsCacheLookup = (task, options) => {
+  if (!task || options[CACHE_CHECKED]) {
+    return false;
+  }
+  try {
+    return resolveCachePolicy(task) !== null;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Returns the cached output of a task while it is fresh, otherwise runs the
+ * task and caches its output. A hit resolves with a result record marked
+ * `cached: true` with no attempts, and emits `task:cached` then `task:success`.
+ * Failures are never cached, and an output that cannot be stored is logged.
+ * @param {Object} task - Task with a `cache` policy
+ * @param {Object} options - Run options
+ * @param {Function} execute - (checkedOptions) => Promise<result> that runs the task
+ * @returns {Promise<Object>} Resolves with the result record
+ */
+const runCached = async (task, options, execute) => {
+  const { key, ttl } = resolveCachePolicy(task);
+  const store = resultCache;
+
+  const entry = await store.get(key);
+  if (entry) {
+    const now = clock.now();
+    const result = createTaskResult(task, { status: 'completed', startedAt: now, finishedAt: now, output: entry.output, cached: true });
+    emitEvent(options, 'task:cached', { ...describeTask(task), key, storedAt: entry.storedAt, result });
+    emitEvent(options, 'task:success', { ...describeTask(task), result });
+    return result;
+  }
+
+  const result = await execute({ ...options, [CACHE_CHECKED]: true });
+  const storedAt = clock.now();
+  try {
+    await store.set(key, { key, output: result.output, storedAt, expiresAt: storedAt + ttl });
+  } catch (error) {
+    // The task did succeed; a missing entry only means the next run computes it again
+    logger.warn('Could not store cached output', { runId: options.runId, taskId: task.id, key, error });
+  }
+  return result;
+};
+
+/**
+ * Removes a cached output so the next run of the task computes it again
+ * @param {Object|string} taskOrKey - A task with a `cache` policy, or a cache key
+ * @returns {Promise<boolean>} True if an entry was removed
+ */
+const invalidateCache = async (taskOrKey) => {
+  if (typeof taskOrKey === 'string') {
+    return resultCache.delete(taskOrKey);
+  }
+  const policy = resolveCachePolicy(taskOrKey);
+  return policy ? resultCache.delete(policy.key) : false;
+};
+
+/**
+ * Removes every cached output
+ * @returns {Promise<void>}
+ */
+const clearResultCache = () => resultCache.clear();
+
+// ============================================================================
+// DEAD LETTERS
+// ============================================================================
+
+/**
+ * Store receiving every task that failed for good; null turns dead-lettering off.
+ * The default keeps the last 1000 entries in memory.
+ */
+let deadLetterStore = new MemoryDeadLetterStore();
+
+/**
+ * Dead-letter entries being requeued, so one entry is not run twice at once
+ */
+const requeueing = new Set();
+
+/**
+ * Marks options of a task run by requeueDeadLetter(), holding { entry, replacement }:
+ * the original entry, and the id of the entry that replaces it if the task fails again
+ */
+const REQUEUED_FROM = Symbol('requeuedFrom');
+
+/**
+ * Sets the store that receives tasks that failed for good
+ * @param {Object} [options] - Dead-letter settings
+ * @param {Object|null} [options.store] - MemoryDeadLetterStore (default), FileDeadLetterStore, any
+ *   object with async add(entry), get(id), list() and delete(id), or null to turn dead-lettering off
+ */
+const configureDeadLetters = (options = {}) => {
+  const { store = new MemoryDeadLetterStore() } = options;
+  if (store !== null && !['add', 'get', 'list', 'delete'].every((method) => typeof store[method] === 'function')) {
+    throw new TypeError('Dead-letter store must implement add, get, list and delete');
+  }
+  deadLetterStore = store;
+};
+
+/**
+ * @returns {Object} The configured store
+ * @throws {Error} If dead-lettering is turned off
+ */
+const requireDeadLetterStore = () => {
+  if (!deadLetterStore) {
+    throw new Error('Dead letters are turned off; enable them with configureDeadLetters()');
+  }
+  return deadLetterStore;
+};
+
+/**
+ * Copies a task definition so later changes to the task object do not alter the entry
+ * @param {Object} task - Task that failed
+ * @returns {Object}
+ */
+const copyTaskDefinition = (task) => {
+  try {
+    return JSON.parse(JSON.stringify(task === undefined ? null : task));
+  } catch (error) {
+    // Not JSON-serializable, e.g. circular; keep a shallow copy
+    return { ...task };
+  }
+};
+
+/**
+ * Moves a task that failed for good into the dead-letter store. Cancelled
+ * tasks are left out: their run stopped them, they did not fail. Never
+ * rejects - if the store fails, the problem is logged and the caller still
+ * sees the task's own error.
+ * @param {Object} task - Task that failed
+ * @param {Error} error - Final error, carrying `attempts` if any attempt ran
+ * @param {Object} options - Run options
+ * @returns {Promise<Object|null>} The stored entry, or null if none was stored
+ */
+const deadLetter = async (task, error, options) => {
+  if (!deadLetterStore || error instanceof TaskCancelledError) {
+    return null;
+  }
+
+  const requeue = options[REQUEUED_FROM];
+  const origin = requeue ? requeue.entry : null;
+  const attempts = error.attempts || [];
+  const entry = {
+    id: randomUUID(),
+    task: copyTaskDefinition(task),
+    error: serializeError(error),
+    attempts,
+    runId: options.runId || null,
+    firstAttemptAt: attempts.length > 0 ? attempts[0].startedAt : null,
+    failedAt: clock.now(),
+    requeuedFrom: origin ? origin.id : null,
+    requeueCount: origin ? origin.requeueCount + 1 : 0
+  };
+  try {
+    await deadLetterStore.add(entry);
+  } catch (storeError) {
+    logger.warn('Could not store dead letter', { runId: entry.runId, taskId: task && task.id, error: storeError });
+    return null;
+  }
+  if (requeue) {
+    requeue.replacement = entry.id;
+  }
+  emitEvent(options, 'task:dead-lettered', { ...describeTask(task), deadLetterId: entry.id });
+  return entry;
+};
+
+/**
+ * Lists dead-letter entries, oldest failure first
+ * @param {Object} [filter] - Optional filters
+ * @param {string} [filter.type] - Only tasks of this type
+ * @param {*} [filter.taskId] - Only tasks with this id
+ * @returns {Promise<Array<Object>>} Entries { id, task, error, attempts, runId, firstAttemptAt,
+ *   failedAt, requeuedFrom, requeueCount }
+ */
+const listDeadLetters = async (filter = {}) => {
+  const { type, taskId } = filter;
+  const entries = await requireDeadLetterStore().list();
+  return entries.filter(({ task }) => {
+    const { type: taskType = null, id = null } = task || {};
+    return (type === undefined || taskType === type) && (taskId === undefined || id === taskId);
+  });
+};
+
+/**
+ * Looks up one dead-letter entry, including every attempt's error and stack
+ * @param {string} id - Entry id
+ * @returns {Promise<Object|undefined>}
+ */
+const inspectDeadLetter = (id) => requireDeadLetterStore().get(id);
+
+/**
+ * Runs a dead-lettered task again through processTaskWithRetry(). The entry is
+ * removed once the task completes, or once it fails again and comes back as a
+ * new entry whose `requeuedFrom` names this one. If the run is cancelled, or
+ * the new entry cannot be stored, the entry stays so the task is not lost.
+ * @param {string} id - Entry id
+ * @param {Object} [options] - Requeue options; the rest are run options
+ * @param {Object|Function} [options.patch] - Fields to change in the task, or (task) => editedTask
+ * @returns {Promise<Object>} Resolves with the task's result record
+ * @throws {Error} If there is no such entry or it is already being requeued
+ */
+const requeueDeadLetter = async (id, options = {}) => {
+  const { patch = {}, ...runOptions } = options;
+  const store = requireDeadLetterStore();
+  if (requeueing.has(id)) {
+    throw new Error(`Dead letter ${id} is already being requeued`);
+  }
+  // Claimed before the first await, so a second call cannot slip in
+  requeueing.add(id);
+  try {
+    const entry = await store.get(id);
+    if (!entry) {
+      throw new Error(`No dead letter with id ${id}`);
+    }
+
+    const task = typeof patch === 'function' ? patch(copyTaskDefinition(entry.task)) : { ...entry.task, ...patch };
+    const requeue = { entry, replacement: null };
+    let result;
+    try {
+      result = await processTaskWithRetry(task, { ...runOptions, [REQUEUED_FROM]: requeue });
+    } catch (error) {
+      if (requeue.replacement) {
+        await store.delete(id);
+      }
+      throw error;
+    }
+    await store.delete(id);
+    return result;
+  } finally {
+    requeueing.delete(id);
+  }
+};
+
+/**
+ * Removes dead-letter entries; without a filter, removes all of them
+ * @param {Object} [filter] - Optional filters
+ * @param {Array<string>} [filter.ids] - Only these entries
+ * @param {number|string} [filter.olderThan] - Only entries that failed at least this long ago, in ms or as a duration
+ * @returns {Promise<number>} Number of entries removed
+ */
+const purgeDeadLetters = async (filter = {}) => {
+  const { ids, olderThan } = filter;
+  const store = requireDeadLetterStore();
+  const cutoff = olderThan === undefined ? Infinity : clock.now() - parseInterval(olderThan);
+  const doomed = (await store.list()).filter((entry) => {
+    return (ids === undefined || ids.includes(entry.id)) && entry.failedAt <= cutoff;
+  });
+  const removed = await Promise.all(doomed.map((entry) => store.delete(entry.id)));
+  return removed.filter(Boolean).length;
+};
+
+// ============================================================================
+// TASK HANDLERS
+// ============================================================================
+
+/**
+ * Handlers keyed by task type: (task, ctx) => result | Promise<result>
+ */
+const handlers = new Map();
+
+/**
+ * Default handler - simulates work by waiting for the task's duration
+ * @param {Object} task - Task to process
+ * @param {Object} ctx - Handler context
+ * @param {AbortSignal} ctx.signal - Aborted on timeout or cancellation
+ * @returns {Promise<void>}
+ */
+const simulateTask = async (task, ctx) => {
+  await delay(task.duration || 300, ctx.signal);
+};
+
+/**
+ * Handler for the `error` demo type - always fails after a short delay
+ * @param {Object} task - Task to process
+ * @param {Object} ctx - Handler context
+ * @throws {TaskProcessingError} Always
+ */
+const failTask = async (task, ctx) => {
+  await delay(0, ctx.signal);
+  throw new TaskProcessingError(
+    `Cannot process task "${task.name}" - simulated error for demonstration`,
+    task.id,
+    task.name
+  );
+};
+
+/**
+ * Registers the handler that processes tasks of the given type.
+ * Registering a type again replaces its handler.
+ *
+ * A handler can also be given as the path of a module exporting the handler
+ * function. Only module handlers can serve tasks with `runIn: "worker"`,
+ * because a function cannot be sent to another thread.
+ * @param {string} type - Task type, as used in the `type` field
+ * @param {Function|string} handler - async (task, ctx) => result, or the path of a module exporting it;
+ *   ctx is { signal, attempt } (worker handlers only get { attempt })
+ */
+const registerHandler = (type, handler) => {
+  if (typeof type !== 'string' || type.length === 0) {
+    throw new TypeError('Handler type must be a non-empty string');
+  }
+  if (typeof handler === 'string') {
+    handlers.set(type, require.resolve(path.resolve(handler)));
+    return;
+  }
+  if (typeof handler !== 'function') {
+    throw new TypeError(`Handler for type "${type}" must be a function or a module path`);
+  }
+  handlers.set(type, handler);
+};
+
+/**
+ * Removes the handler registered for a task type
+ * @param {string} type - Task type
+ * @returns {boolean} True if a handler was removed
+ */
+const unregisterHandler = (type) => handlers.delete(type);
+
+/**
+ * Looks up the handler for a task type. Tasks without a type use the
+ * simulated-delay handler.
+ * @param {string} [type] - Task type
+ * @returns {Function} Registered handler
+ * @throws {TaskValidationError} If no handler is registered for the type
+ */
+const getHandler = (type) => {
+  if (type === undefined) {
+    return simulateTask;
+  }
+  if (!handlers.has(type)) {
+    throw new TaskValidationError(`No handler registered for task type "${type}"`);
+  }
+  const handler = handlers.get(type);
+  return typeof handler === 'string' ? require(handler) : handler;
+};
+
+// ============================================================================
+// WORKER THREADS
+// ============================================================================
+
+/**
+ * Places a task's handler can run: the main event loop or a worker thread
+ */
+const RUN_IN_MODES = ['main', 'worker'];
+
+let workerPool = null;
+
+/**
+ * Sets the size of the worker pool used by `runIn: "worker"` tasks.
+ * Workers of a previous pool are terminated.
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.size] - Maximum number of workers (defaults to CPU count - 1)
+ * @returns {Promise<void>}
+ */
+const configureWorkerPool = async (options = {}) => {
+  const previous = workerPool;
+  workerPool = new WorkerPool(options);
+  if (previous) {
+    await previous.close();
+  }
+};
+
+/**
+ * Terminates every worker thread. A later worker task starts a new pool.
+ * @returns {Promise<void>}
+ */
+const closeWorkerPool = async () => {
+  if (workerPool) {
+    const pool = workerPool;
+    workerPool = null;
+    await pool.close();
+  }
+};
+
+/**
+ * Runs the module handler of a task in the worker pool. Aborting `ctx.signal`
+ * (on timeout or cancellation) terminates the worker.
+ * @param {Object} task - Task with `runIn: "worker"`
+ * @param {Object} ctx - Handler context: { signal, attempt }
+ * @returns {Promise<*>} Resolves with the handler's result
+ * @throws {TaskValidationError} If the task's type has no module handler
+ */
+const runInWorker = (task, ctx) => {
+  const modulePath = handlers.get(task.type);
+  if (typeof modulePath !== 'string') {
+    throw new TaskValidationError(
+      `Task "${task.name}" runs in a worker, but the handler for type "${task.type}" is not a module path`,
+      task
+    );
+  }
+  if (!workerPool) {
+    workerPool = new WorkerPool();
+  }
+  return workerPool.run(modulePath, task, ctx);
+};
+
+/**
+ * Runs the task's handler. Errors other than the runner's own error classes
+ * are wrapped in a TaskProcessingError so callers always know the failing task.
+ * @param {Object} task - Validated task
+ * @param {Object} ctx - Handler context: { signal, attempt }
+ * @returns {Promise<*>} Resolves with the handler's result
+ */
+const invokeHandler = (task, ctx) => {
+  const labels = metricLabels(task);
+  taskMetrics.running.inc(labels);
+
+  return Promise.resolve()
+    .then(() => (task.runIn === 'worker' ? runInWorker(task, ctx) : getHandler(task.type)(task, ctx)))
+    .finally(() => taskMetrics.running.dec(labels))
+    .catch((error) => {
+      if (error instanceof TaskProcessingError || error instanceof TaskValidationError) {
+        throw error;
+      }
+      const wrapped = new TaskProcessingError(
+        `Task "${task.name}" failed: ${error && error.message}`,
+        task.id,
+        task.name
+      );
+      wrapped.cause = error;
+      // Keep where the handler failed - in a worker, the only trace of it
+      if (error && error.stack) {
+        wrapped.stack = `${wrapped.stack}\nCaused by: ${error.stack}`;
+      }
+      throw wrapped;
+    });
+};
+
+// The demo types in tasks.json keep their simulated behavior until real handlers are registered
+['financial', 'communication', 'data', 'database', 'validation', 'system'].forEach((type) => {
+  registerHandler(type, simulateTask);
+});
+registerHandler('error', failTask);
+
+// Built-in: runs a local program, see commandTask.js
+registerHandler('command', runCommand);
 
 // ============================================================================
-// CUSTOM ERROR CLASSES
+// CALLBACK-BASED IMPLEMENTATION (Error-First Pattern)
 // ============================================================================
 
 /**
- * Custom error class for task processing errors
+ * Runs a callback-style task function through a promise-based wrapper such as
+ * runIdempotent() or runCached()
+ * @param {Function} wrapper - (task, options, execute) => Promise<result>
+ * @param {Object} task - Task to process
+ * @param {Object} options - Processing options
+ * @param {Function} run - Callback-style function the wrapper may call: (task, options, callback)
+ * @param {Function} callback - Error-first callback: (error, result) => void
+ */
+const runWrappedCallback = (wrapper, task, options, run, callback) => {
+  const execute = (wrappedOptions) => new Promise((resolve, reject) => {
+    run(task, wrappedOptions, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+  // nextTick keeps the callback outside the promise chain so its errors are not swallowed
+  wrapper(task, options, execute).then(
+    (result) => process.nextTick(callback, null, result),
+    (error) => process.nextTick(callback, error, null)
+  );
+};
+
+/**
+ * Processes a single task using error-first callback pattern
+ * @param {Object} task - Task to process
+ * @param {Object} [options] - Processing options
+ * @param {AbortSignal} [options.signal] - Cancels the task and clears its timers
+ * @param {number} [options.attempt=1] - Attempt number passed to the handler
+ * @param {Function} callback - Error-first callback: (error, result) => void,
+ *   where result is the task's result record
  */
-class TaskProcessingError extends Error {
-  constructor(message, taskId, taskName) {
-    super(message);
-    this.name = 'TaskProcessingError';
-    this.taskId = taskId;
-    this.taskName = taskName;
+const processTaskCallback = (task, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
   }
-}
+  if (needsCacheLookup(task, options)) {
+    return runWrappedCallback(runCached, task, options, processTaskCallback, callback);
+  }
+
+  const { signal } = options;
+  const attempt = options.attempt || 1;
+  const controller = new AbortController();
+  const startedAt = clock.now();
+  let finished = false;
+  let timeoutTimer = null;
+
+  // Settle exactly once and release every pending timer and listener
+  const finish = (error, output) => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clock.clearTimeout(startTimer);
+    clock.clearTimeout(timeoutTimer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+
+    const attemptRecord = createAttemptRecord(attempt, startedAt, error);
+    if (error) {
+      // Let the handler clear its own timers
+      controller.abort();
+      error.attempts = [attemptRecord];
+      return callback(error, null);
+    }
+    callback(null, createTaskResult(task, { status: 'completed', startedAt, attempts: [attemptRecord], output }));
+  };
+  const onAbort = () => finish(createCancelledError(task), null);
+
+  // Start the task on a later tick, like any asynchronous operation
+  const startTimer = clock.setTimeout(() => {
+    if (signal && signal.aborted) {
+      return onAbort();
+    }
+
+    try {
+      validateTask(task);
+    } catch (error) {
+      return finish(error, null);
+    }
+
+    if (task.timeout) {
+      timeoutTimer = clock.setTimeout(() => finish(createTimeoutError(task), null), task.timeout);
+    }
+
+    invokeHandler(task, { signal: controller.signal, attempt })
+      .then((output) => finish(null, output), (error) => finish(error, null));
+  }, 0);
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+};
 
 /**
- * Custom error class for validation errors
+ * Processes a single task with its retry policy using callbacks
+ * @param {Object} task - Task to process
+ * @param {Object} [options] - Processing options
+ * @param {AbortSignal} [options.signal] - Cancels the task and any pending retry
+ * @param {EventEmitter} [options.emitter] - Receives task:throttled, task:start, task:retry, task:success and task:failure
+ * @param {string} [options.runId] - Run id added to every event payload
+ * @param {Object} [options.trace] - Span context to group the task's spans under, from span.context()
+ * @param {Function} callback - Error-first callback: (error, result) => void.
+ *   The result record lists every attempt; a final error carries `attempts`.
  */
-class TaskValidationError extends Error {
-  constructor(message, task) {
-    super(message);
-    this.name = 'TaskValidationError';
-    this.task = task;
+const processTaskCallbackWithRetry = (task, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
   }
-}
+
+  markPickedUp(task, options);
+  if (needsIdempotencyClaim(task, options)) {
+    return runWrappedCallback(runIdempotent, task, options, processTaskCallbackWithRetry, callback);
+  }
+  if (needsCacheLookup(task, options)) {
+    return runWrappedCallback(runCached, task, options, processTaskCallbackWithRetry, callback);
+  }
+
+  const { signal } = options;
+  const trace = startTaskTrace(task, options);
+  const attempts = [];
+
+  const fail = (error) => {
+    emitEvent(options, 'task:failure', {
+      ...describeTask(task),
+      error: serializeError(error),
+      result: createFailedResult(task, error)
+    });
+    trace.end(error);
+    // Report the failure only once the task is in the dead-letter store
+    deadLetter(task, error, options).then(() => process.nextTick(callback, error, null));
+  };
+
+  let policy;
+  try {
+    policy = resolveRetryPolicy(task);
+  } catch (error) {
+    return fail(error);
+  }
+
+  const runAttempt = () => {
+    acquireRateLimit(task, options, attempts).then((throttled) => {
+      try {
+        enterCircuit(task, attempts);
+      } catch (error) {
+        return fail(error);
+      }
+      startAttempt(throttled);
+    }, fail);
+  };
+
+  const startAttempt = (throttled) => {
+    const startedAt = clock.now();
+    emitEvent(options, 'task:start', { ...describeTask(task), attempt: attempts.length + 1, startedAt });
+    trace.attemptStarted(attempts.length + 1);
+
+    processTaskCallback(task, { ...options, attempt: attempts.length + 1 }, (error, result) => {
+      exitCircuit(task, error);
+      const record = createAttemptRecord(attempts.length + 1, startedAt, error, throttled);
+      attempts.push(record);
+
+      if (!error) {
+        const taskResult = createTaskResult(task, {
+          status: 'completed',
+          startedAt: attempts[0].startedAt,
+          attempts,
+          output: result.output
+        });
+        emitEvent(options, 'task:success', { ...describeTask(task), result: taskResult });
+        trace.end(null);
+        return callback(null, taskResult);
+      }
+      if (attempts.length > policy.retries || !isRetryableError(error)) {
+        error.attempts = attempts;
+        return fail(error);
+      }
+
+      record.retryDelay = computeRetryDelay(policy, record.attempt);
+      emitEvent(options, 'task:retry', {
+        ...describeTask(task),
+        attempt: record.attempt,
+        delay: record.retryDelay,
+        error: record.error
+      });
+      trace.retrying(error, record.retryDelay);
+
+      // Wait for the backoff delay unless the run is cancelled meanwhile
+      const onAbort = () => {
+        clock.clearTimeout(retryTimer);
+        const cancelled = createCancelledError(task);
+        cancelled.attempts = attempts;
+        fail(cancelled);
+      };
+      const retryTimer = clock.setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        runAttempt();
+      }, record.retryDelay);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  };
+
+  runAttempt();
+};
+
+/**
+ * Processes all tasks sequentially using callbacks
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {string} [options.scheduling='fifo'] - 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority aging rate for 'priority' scheduling
+ * @param {RunHandle} [options.handle] - Handle to control the run with; one is created if omitted
+ * @param {Function} callback - Error-first callback: (error, results) => void,
+ *   with result records in execution order
+ * @returns {RunHandle} Pauses, resumes, drains and reports on the run
+ */
+const processTasksCallbacks = (tasks, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const handle = options.handle || new RunHandle();
+
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    callback(new Error('Tasks must be a non-empty array'), null);
+    return handle;
+  }
+
+  let queue;
+  try {
+    queue = createTaskQueue(tasks, options);
+    handle.begin(tasks.length);
+  } catch (error) {
+    releaseQueued(tasks);
+    callback(error, null);
+    return handle;
+  }
+
+  const results = [];
+  const finish = (error) => {
+    handle.end();
+    discardQueue(queue);
+    callback(error, results);
+  };
+
+  const processNext = () => {
+    if (queue.size === 0) {
+      return finish(null);
+    }
+
+    const startNext = () => {
+      const { task } = queue.dequeue();
+      handle.taskStarted();
+      processTaskCallbackWithRetry(task, options, (error, result) => {
+        handle.taskFinished();
+        if (error) {
+          return finish(error);
+        }
+
+        results.push(result);
+        processNext();
+      });
+    };
+
+    if (!handle.paused) {
+      return startNext();
+    }
+    // An abort while paused falls through: the next task then fails as cancelled.
+    // nextTick keeps the callback outside the promise chain so its errors are not swallowed.
+    handle.whenResumed(options.signal).catch(() => {}).then(() => process.nextTick(startNext));
+  };
+
+  processNext();
+  return handle;
+};
+
+/**
+ * Processes tasks with at most `concurrency` tasks in flight using callbacks.
+ * A new task starts as soon as a running one finishes; results keep input order.
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency=4] - Maximum number of tasks in flight
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {string} [options.scheduling='fifo'] - 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority aging rate for 'priority' scheduling
+ * @param {Function} callback - Error-first callback: (error, results) => void
+ */
+const processTasksPoolCallbacks = (tasks, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return callback(new Error('Tasks must be a non-empty array'), null);
+  }
+
+  let concurrency;
+  let queue;
+  try {
+    concurrency = resolveConcurrency(options);
+    queue = createTaskQueue(tasks, options);
+  } catch (error) {
+    return callback(error, null);
+  }
+
+  const results = new Array(tasks.length);
+  let running = 0;
+  let completed = 0;
+  let failed = false;
+
+  const startNext = () => {
+    // Fill every free slot while there is work left
+    while (!failed && running < concurrency && queue.size > 0) {
+      const { task, index } = queue.dequeue();
+      running++;
+
+      processTaskCallbackWithRetry(task, options, (error, result) => {
+        running--;
+        if (failed) {
+          return;
+        }
+        if (error) {
+          failed = true;
+          discardQueue(queue);
+          return callback(error, results);
+        }
+
+        results[index] = result;
+        completed++;
+        if (completed === tasks.length) {
+          return callback(null, results);
+        }
+        startNext();
+      });
+    }
+  };
+
+  startNext();
+};
+
+// ============================================================================
+// PROMISE-BASED IMPLEMENTATION
+// ============================================================================
+
+/**
+ * Processes a single task using Promises
+ * @param {Object} task - Task to process
+ * @param {Object} [options] - Processing options
+ * @param {AbortSignal} [options.signal] - Cancels the task and clears its timers
+ * @param {number} [options.attempt=1] - Attempt number passed to the handler
+ * @returns {Promise<Object>} Resolves with the task's result record
+ */
+const processTaskPromise = (task, options = {}) => {
+  if (needsCacheLookup(task, options)) {
+    return runCached(task, options, (checked) => processTaskPromise(task, checked));
+  }
+
+  const attempt = options.attempt || 1;
+  const startedAt = clock.now();
+
+  return new Promise((resolve) => {
+    validateTask(task);
+    resolve();
+  })
+    .then(() => runWithDeadline(task, options.signal, (signal) => invokeHandler(task, { signal, attempt })))
+    .then(
+      (output) => createTaskResult(task, {
+        status: 'completed',
+        startedAt,
+        attempts: [createAttemptRecord(attempt, startedAt)],
+        output
+      }),
+      (error) => {
+        error.attempts = [createAttemptRecord(attempt, startedAt, error)];
+        throw error;
+      }
+    );
+};
+
+/**
+ * Processes a single task with its retry policy using Promise chaining
+ * @param {Object} task - Task to process
+ * @param {Object} [options] - Processing options
+ * @param {AbortSignal} [options.signal] - Cancels the task and any pending retry
+ * @param {EventEmitter} [options.emitter] - Receives task:throttled, task:start, task:retry, task:success and task:failure
+ * @param {string} [options.runId] - Run id added to every event payload
+ * @param {Object} [options.trace] - Span context to group the task's spans under, from span.context()
+ * @returns {Promise<Object>} Resolves with the result record listing every attempt;
+ *   rejects with the last error, which carries `attempts`
+ */
+const processTaskPromiseWithRetry = (task, options = {}) => {
+  markPickedUp(task, options);
+  if (needsIdempotencyClaim(task, options)) {
+    return runIdempotent(task, options, (claimed) => processTaskPromiseWithRetry(task, claimed));
+  }
+  if (needsCacheLookup(task, options)) {
+    return runCached(task, options, (checked) => processTaskPromiseWithRetry(task, checked));
+  }
+
+  const trace = startTaskTrace(task, options);
+  const attempts = [];
+
+  const runAttempt = (policy) => {
+    return acquireRateLimit(task, options, attempts).then((throttled) => {
+      enterCircuit(task, attempts);
+      return startAttempt(policy, throttled);
+    });
+  };
+
+  const startAttempt = (policy, throttled) => {
+    const startedAt = clock.now();
+    emitEvent(options, 'task:start', { ...describeTask(task), attempt: attempts.length + 1, startedAt });
+    trace.attemptStarted(attempts.length + 1);
+
+    return processTaskPromise(task, { ...options, attempt: attempts.length + 1 }).then(
+      (result) => {
+        exitCircuit(task, null);
+        attempts.push(createAttemptRecord(attempts.length + 1, startedAt, null, throttled));
+        const taskResult = createTaskResult(task, {
+          status: 'completed',
+          startedAt: attempts[0].startedAt,
+          attempts,
+          output: result.output
+        });
+        emitEvent(options, 'task:success', { ...describeTask(task), result: taskResult });
+        trace.end(null);
+        return taskResult;
+      },
+      (error) => {
+        exitCircuit(task, error);
+        const record = createAttemptRecord(attempts.length + 1, startedAt, error, throttled);
+        attempts.push(record);
+
+        if (attempts.length > policy.retries || !isRetryableError(error)) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        record.retryDelay = computeRetryDelay(policy, record.attempt);
+        emitEvent(options, 'task:retry', {
+          ...describeTask(task),
+          attempt: record.attempt,
+          delay: record.retryDelay,
+          error: record.error
+        });
+        trace.retrying(error, record.retryDelay);
+        return delay(record.retryDelay, options.signal)
+          .catch(() => {
+            const cancelled = createCancelledError(task);
+            cancelled.attempts = attempts;
+            throw cancelled;
+          })
+          .then(() => runAttempt(policy));
+      }
+    );
+  };
+
+  return new Promise((resolve) => resolve(resolveRetryPolicy(task)))
+    .then(runAttempt)
+    .catch((error) => {
+      emitEvent(options, 'task:failure', {
+        ...describeTask(task),
+        error: serializeError(error),
+        result: createFailedResult(task, error)
+      });
+      trace.end(error);
+      return deadLetter(task, error, options).then(() => {
+        throw error;
+      });
+    });
+};
+
+/**
+ * Processes all tasks sequentially using Promises
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {string} [options.scheduling='fifo'] - 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority aging rate for 'priority' scheduling
+ * @returns {Promise<Array<Object>>} Resolves with result records in execution order
+ */
+const processTasksPromises = async (tasks, options = {}) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw new Error('Tasks must be a non-empty array');
+  }
+
+  const queue = createTaskQueue(tasks, options);
+  const results = [];
+  
+  while (queue.size > 0) {
+    const { task } = queue.dequeue();
+    try {
+      const result = await processTaskPromiseWithRetry(task, options);
+      results.push(result);
+    } catch (error) {
+      discardQueue(queue);
+      throw error;
+    }
+  }
+  
+  return results;
+};
+
+/**
+ * Processes tasks in parallel using Promise.all()
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @returns {Promise<Array<Object>>} Resolves with result records in input order
+ */
+const processTasksParallel = async (tasks, options = {}) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw new Error('Tasks must be a non-empty array');
+  }
+
+  emitQueued(tasks, options);
+  const taskPromises = tasks.map((task) => processTaskPromiseWithRetry(task, options));
+  
+  try {
+    return await Promise.all(taskPromises);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Processes tasks with at most `concurrency` tasks in flight using Promises.
+ * A new task starts as soon as a running one settles; results keep input order.
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency=4] - Maximum number of tasks in flight
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {string} [options.scheduling='fifo'] - 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority aging rate for 'priority' scheduling
+ * @returns {Promise<Array<Object>>} Resolves with result records in input order
+ */
+const processTasksPool = (tasks, options = {}) => {
+  return new Promise((resolve, reject) => {
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      return reject(new Error('Tasks must be a non-empty array'));
+    }
+
+    const concurrency = resolveConcurrency(options);
+    const queue = createTaskQueue(tasks, options);
+    const results = new Array(tasks.length);
+    let completed = 0;
+    let failed = false;
+
+    const startNext = () => {
+      if (failed || queue.size === 0) {
+        return;
+      }
+
+      const { task, index } = queue.dequeue();
+      processTaskPromiseWithRetry(task, options)
+        .then((result) => {
+          results[index] = result;
+          completed++;
+          if (completed === tasks.length) {
+            resolve(results);
+          } else {
+            startNext();
+          }
+        })
+        .catch((error) => {
+          failed = true;
+          discardQueue(queue);
+          reject(error);
+        });
+    };
+
+    for (let slot = 0; slot < Math.min(concurrency, tasks.length); slot++) {
+      startNext();
+    }
+  });
+};
+
+/**
+ * Processes every task in parallel using Promise.allSettled().
+ * Unlike processTasksParallel, a failure does not stop the run: failed tasks
+ * produce a result record with status 'failed' and a serialized error.
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {boolean} [options.throwOnFailure=false] - Reject with an AggregateError if any task failed
+ * @returns {Promise<Array<Object>>} Resolves with one result record per task, in input order
+ */
+const processTasksAllSettled = (tasks, options = {}) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return Promise.reject(new Error('Tasks must be a non-empty array'));
+  }
+
+  emitQueued(tasks, options);
+  const taskPromises = tasks.map((task) => processTaskPromiseWithRetry(task, options));
+
+  return Promise.allSettled(taskPromises).then((settled) => {
+    const errors = settled.map((outcome) => outcome.reason);
+    const results = settled.map((outcome, index) => (
+      outcome.status === 'fulfilled' ? outcome.value : createFailedResult(tasks[index], outcome.reason)
+    ));
+
+    const failure = options.throwOnFailure ? createSettledFailure(results, errors) : null;
+    if (failure) {
+      throw failure;
+    }
+    return results;
+  });
+};
+
+/**
+ * Processes tasks using Promise.any() - resolves with the first task that succeeds.
+ * Unlike processTasksRace, a fast failure does not end the run; it only
+ * rejects when every task has failed.
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {boolean} [options.cancelLosers=false] - Cancel the remaining tasks once a winner is known
+ * @returns {Promise<Object>} Resolves with the winner's result record
+ */
+const processTasksAny = (tasks, options = {}) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return Promise.reject(new Error('Tasks must be a non-empty array'));
+  }
+
+  emitQueued(tasks, options);
+
+  // One controller per task so the losers can be cancelled individually
+  const links = tasks.map(() => createLinkedController(options.signal));
+  const taskPromises = tasks.map((task, index) =>
+    processTaskPromiseWithRetry(task, { ...options, signal: links[index].controller.signal })
+  );
+  Promise.allSettled(taskPromises).then(() => links.forEach((link) => link.release()));
+
+  return Promise.any(taskPromises).then(
+    (winner) => {
+      if (options.cancelLosers) {
+        links.forEach((link) => link.controller.abort());
+      }
+      return winner;
+    },
+    (aggregate) => {
+      const results = tasks.map((task, index) => createFailedResult(task, aggregate.errors[index]));
+      throw createSettledFailure(results, aggregate.errors);
+    }
+  );
+};
+
+/**
+ * Processes tasks using Promise.race() - completes when first task finishes
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @returns {Promise<Object>} Resolves with the result record of the first task to finish
+ */
+const processTasksRace = async (tasks, options = {}) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw new Error('Tasks must be a non-empty array');
+  }
+
+  emitQueued(tasks, options);
+  const taskPromises = tasks.map((task) => processTaskPromiseWithRetry(task, options));
+  
+  try {
+    return await Promise.race(taskPromises);
+  } catch (error) {
+    throw error;
+  }
+};
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// ASYNC/AWAIT IMPLEMENTATION (Improved Readability)
 // ============================================================================
 
 /**
- * Simulates asynchronous delay using setTimeout wrapped in a Promise
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>}
+ * Processes a single task using async/await
+ * @param {Object} task - Task to process
+ * @param {Object} [options] - Processing options
+ * @param {AbortSignal} [options.signal] - Cancels the task and clears its timers
+ * @param {number} [options.attempt=1] - Attempt number passed to the handler
+ * @returns {Promise<Object>} Resolves with the task's result record
  */
-const delay = (ms) => {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+const processTaskAsync = async (task, options = {}) => {
+  if (needsCacheLookup(task, options)) {
+    return runCached(task, options, (checked) => processTaskAsync(task, checked));
+  }
+
+  const attempt = options.attempt || 1;
+  const startedAt = clock.now();
+
+  try {
+    // Validate task
+    validateTask(task);
+    
+    // Run the handler for the task's type, bounded by timeout and cancellation
+    const output = await runWithDeadline(task, options.signal, (signal) =>
+      invokeHandler(task, { signal, attempt })
+    );
+    
+    // Return result record
+    return createTaskResult(task, {
+      status: 'completed',
+      startedAt,
+      attempts: [createAttemptRecord(attempt, startedAt)],
+      output
+    });
+  } catch (error) {
+    error.attempts = [createAttemptRecord(attempt, startedAt, error)];
+    throw error;
+  }
 };
 
 /**
- * Validates a task object
- * @param {Object} task - Task object to validate
- * @throws {TaskValidationError} If task is invalid
+ * Processes a single task with its retry policy using async/await.
+ * Every attempt is recorded with its timing and error.
+ * @param {Object} task - Task to process
+ * @param {Object} [options] - Processing options
+ * @param {AbortSignal} [options.signal] - Cancels the task and any pending retry
+ * @param {EventEmitter} [options.emitter] - Receives task:throttled, task:start, task:retry, task:success and task:failure
+ * @param {string} [options.runId] - Run id added to every event payload
+ * @param {Object} [options.trace] - Span context to group the task's spans under, from span.context()
+ * @returns {Promise<Object>} Resolves with the result record listing every attempt
+ * @throws {Error} The last attempt's error, carrying `attempts`
  */
-const validateTask = (task) => {
-  if (!task || typeof task !== 'object') {
-    throw new TaskValidationError('Task must be an object', task);
+const processTaskWithRetry = async (task, options = {}) => {
+  markPickedUp(task, options);
+  if (needsIdempotencyClaim(task, options)) {
+    return runIdempotent(task, options, (claimed) => processTaskWithRetry(task, claimed));
   }
-  if (!task.id || !task.name) {
-    throw new TaskValidationError('Task must have id and name properties', task);
+  if (needsCacheLookup(task, options)) {
+    return runCached(task, options, (checked) => processTaskWithRetry(task, checked));
   }
-  if (task.type === 'error') {
-    throw new TaskProcessingError(
-      `Cannot process task "${task.name}" - simulated error for demonstration`,
-      task.id,
-      task.name
-    );
+
+  const trace = startTaskTrace(task, options);
+  try {
+    const policy = resolveRetryPolicy(task);
+    const attempts = [];
+
+    while (true) {
+      // Wait for the task's rate limit, if any, before the attempt counts as started
+      const throttled = await acquireRateLimit(task, options, attempts);
+      enterCircuit(task, attempts);
+      const startedAt = clock.now();
+      emitEvent(options, 'task:start', { ...describeTask(task), attempt: attempts.length + 1, startedAt });
+      trace.attemptStarted(attempts.length + 1);
+
+      try {
+        const { output } = await processTaskAsync(task, { ...options, attempt: attempts.length + 1 });
+        exitCircuit(task, null);
+        attempts.push(createAttemptRecord(attempts.length + 1, startedAt, null, throttled));
+        const result = createTaskResult(task, {
+          status: 'completed',
+          startedAt: attempts[0].startedAt,
+          attempts,
+          output
+        });
+        emitEvent(options, 'task:success', { ...describeTask(task), result });
+        trace.end(null);
+        return result;
+      } catch (error) {
+        exitCircuit(task, error);
+        const record = createAttemptRecord(attempts.length + 1, startedAt, error, throttled);
+        attempts.push(record);
+
+        if (attempts.length > policy.retries || !isRetryableError(error)) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        // Wait according to the backoff policy before trying again
+        record.retryDelay = computeRetryDelay(policy, record.attempt);
+        emitEvent(options, 'task:retry', {
+          ...describeTask(task),
+          attempt: record.attempt,
+          delay: record.retryDelay,
+          error: record.error
+        });
+        trace.retrying(error, record.retryDelay);
+        try {
+          await delay(record.retryDelay, options.signal);
+        } catch (abortError) {
+          const cancelled = createCancelledError(task);
+          cancelled.attempts = attempts;
+          throw cancelled;
+        }
+      }
+    }
+  } catch (error) {
+    emitEvent(options, 'task:failure', {
+      ...describeTask(task),
+      error: serializeError(error),
+      result: createFailedResult(task, error)
+    });
+    trace.end(error);
+    await deadLetter(task, error, options);
+    throw error;
   }
 };
 
 /**
- * Simulates processing a single task
- * @param {Object} task - Task to process
- * @param {number} duration - Processing duration in milliseconds
- * @returns {Promise<string>} Success message
+ * Processes all tasks sequentially using async/await (clean and readable)
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {string} [options.scheduling='fifo'] - 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority aging rate for 'priority' scheduling
+ * @param {RunHandle} [options.handle] - Handle to control the run with; one is created if omitted
+ * @returns {Promise<Array<Object>>} Resolves with result records in execution order;
+ *   the promise's `handle` property pauses, resumes, drains and reports on the run
  */
-const processSingleTask = async (task, duration) => {
-  await delay(duration);
-  return `Task "${task.name}" (ID: ${task.id}) completed successfully in ${duration}ms`;
-};
+const processTasksAsyncAwait = (tasks, options = {}) => {
+  const handle = options.handle || new RunHandle();
 
-// ============================================================================
-// CALLBACK-BASED IMPLEMENTATION (Error-First Pattern)
-// ============================================================================
+  const run = (async () => {
+    // Validate input
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      throw new Error('Tasks must be a non-empty array');
+    }
 
-/**
- * Processes a single task using error-first callback pattern
- * @param {Object} task - Task to process
- * @param {Function} callback - Error-first callback: (error, result) => void
- */
-const processTaskCallback = (task, callback) => {
-  // Simulate async operation with setTimeout
-  setTimeout(() => {
+    let queue;
     try {
-      validateTask(task);
-      const duration = task.duration || 300;
-      
-      // Simulate processing delay
-      setTimeout(() => {
-        const result = `Task "${task.name}" (ID: ${task.id}) completed successfully in ${duration}ms`;
-        callback(null, result);
-      }, duration);
+      queue = createTaskQueue(tasks, options);
+      handle.begin(tasks.length);
     } catch (error) {
-      callback(error, null);
+      releaseQueued(tasks);
+      throw error;
     }
-  }, 0);
+
+    const results = [];
+    try {
+      // Process each task sequentially with improved error handling
+      while (queue.size > 0) {
+        // An abort while paused falls through: the next task then fails as cancelled
+        await handle.whenResumed(options.signal).catch(() => {});
+        const { task } = queue.dequeue();
+
+        // Any error stops processing; listeners learn about it through task:failure
+        handle.taskStarted();
+        try {
+          results.push(await processTaskWithRetry(task, options));
+        } finally {
+          handle.taskFinished();
+        }
+      }
+    } finally {
+      handle.end();
+      discardQueue(queue);
+    }
+
+    return results;
+  })();
+
+  run.handle = handle;
+  return run;
 };
 
 /**
- * Processes all tasks sequentially using callbacks
+ * Processes tasks in parallel using async/await with Promise.all()
  * @param {Array<Object>} tasks - Array of tasks to process
- * @param {Function} callback - Error-first callback: (error, results) => void
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @returns {Promise<Array<Object>>} Resolves with result records in input order
  */
-const processTasksCallbacks = (tasks, callback) => {
+const processTasksParallelAsync = async (tasks, options = {}) => {
   if (!Array.isArray(tasks) || tasks.length === 0) {
-    return callback(new Error('Tasks must be a non-empty array'), null);
+    throw new Error('Tasks must be a non-empty array');
   }
 
-  const results = [];
-  let index = 0;
-
-  const processNext = () => {
-    if (index >= tasks.length) {
-      return callback(null, results);
-    }
-
-    const task = tasks[index];
-    processTaskCallback(task, (error, result) => {
-      if (error) {
-        return callback(error, results);
-      }
-      
-      results.push(result);
-      index++;
-      processNext();
-    });
-  };
+  emitQueued(tasks, options);
 
-  processNext();
+  // Create array of promises
+  const taskPromises = tasks.map((task) => processTaskWithRetry(task, options));
+  
+  // Wait for all tasks to complete
+  const results = await Promise.all(taskPromises);
+  
+  return results;
 };
 
-// ============================================================================
-// PROMISE-BASED IMPLEMENTATION
-// ============================================================================
-
 /**
- * Processes a single task using Promises
- * @param {Object} task - Task to process
- * @returns {Promise<string>} Resolves with success message
+ * Processes tasks with at most `concurrency` tasks in flight using async/await.
+ * Each worker pulls the next task as soon as its current one finishes.
+ * @param {Array<Object>} tasks - Array of tasks to process
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency=4] - Maximum number of tasks in flight
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {string} [options.scheduling='fifo'] - 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority aging rate for 'priority' scheduling
+ * @returns {Promise<Array<Object>>} Resolves with result records in input order
  */
-const processTaskPromise = (task) => {
-  return new Promise((resolve, reject) => {
-    try {
-      validateTask(task);
-      const duration = task.duration || 300;
-      
-      setTimeout(() => {
-        const result = `Task "${task.name}" (ID: ${task.id}) completed successfully in ${duration}ms`;
-        resolve(result);
-      }, duration);
-    } catch (error) {
-      reject(error);
+const processTasksPoolAsync = async (tasks, options = {}) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw new Error('Tasks must be a non-empty array');
+  }
+
+  const concurrency = resolveConcurrency(options);
+  const queue = createTaskQueue(tasks, options);
+  const results = new Array(tasks.length);
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && queue.size > 0) {
+      const { task, index } = queue.dequeue();
+      try {
+        results[index] = await processTaskWithRetry(task, options);
+      } catch (error) {
+        // Stop the other workers from picking up new tasks
+        failed = true;
+        discardQueue(queue);
+        throw error;
+      }
     }
-  });
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, () => worker());
+  await Promise.all(workers);
+
+  return results;
 };
 
 /**
- * Processes all tasks sequentially using Promises
+ * Processes every task using async/await, collecting all failures instead of
+ * stopping at the first one
  * @param {Array<Object>} tasks - Array of tasks to process
- * @returns {Promise<Array<string>>} Resolves with array of results
+ * @param {Object} [options] - Run options
+ * @param {number} [options.concurrency] - Maximum number of tasks in flight (unlimited by default)
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {string} [options.scheduling='fifo'] - 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority aging rate for 'priority' scheduling
+ * @param {boolean} [options.throwOnFailure=false] - Throw an AggregateError if any task failed
+ * @returns {Promise<Array<Object>>} Resolves with one result record per task, in input order
+ * @throws {AggregateError} With `throwOnFailure`, listing every failed task id and name
  */
-const processTasksPromises = async (tasks) => {
+const processTasksAllSettledAsync = async (tasks, options = {}) => {
   if (!Array.isArray(tasks) || tasks.length === 0) {
     throw new Error('Tasks must be a non-empty array');
   }
 
-  const results = [];
-  
-  for (const task of tasks) {
-    try {
-      const result = await processTaskPromise(task);
-      results.push(result);
-    } catch (error) {
-      throw error;
+  const concurrency = options.concurrency === undefined ? tasks.length : resolveConcurrency(options);
+  const queue = createTaskQueue(tasks, options);
+  const results = new Array(tasks.length);
+  const errors = new Array(tasks.length);
+
+  const worker = async () => {
+    while (queue.size > 0) {
+      const { task, index } = queue.dequeue();
+      try {
+        results[index] = await processTaskWithRetry(task, options);
+      } catch (error) {
+        // Record the failure and keep going
+        errors[index] = error;
+        results[index] = createFailedResult(task, error);
+      }
     }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, () => worker());
+  await Promise.all(workers);
+
+  const failure = options.throwOnFailure ? createSettledFailure(results, errors) : null;
+  if (failure) {
+    throw failure;
   }
-  
   return results;
 };
 
 /**
- * Processes tasks in parallel using Promise.all()
+ * Processes tasks with Promise.any() using async/await - the first task to
+ * succeed wins, failures only matter when every task fails
  * @param {Array<Object>} tasks - Array of tasks to process
- * @returns {Promise<Array<string>>} Resolves with array of results
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {boolean} [options.cancelLosers=false] - Cancel the remaining tasks once a winner is known
+ * @returns {Promise<Object>} Resolves with the winner's result record
+ * @throws {AggregateError} If every task fails, listing each failed task id and name
  */
-const processTasksParallel = async (tasks) => {
+const processTasksAnyAsync = async (tasks, options = {}) => {
   if (!Array.isArray(tasks) || tasks.length === 0) {
     throw new Error('Tasks must be a non-empty array');
   }
 
-  const taskPromises = tasks.map((task) => processTaskPromise(task));
-  
+  emitQueued(tasks, options);
+
+  const links = tasks.map(() => createLinkedController(options.signal));
+  const taskPromises = tasks.map((task, index) =>
+    processTaskWithRetry(task, { ...options, signal: links[index].controller.signal })
+  );
+
   try {
-    return await Promise.all(taskPromises);
-  } catch (error) {
-    throw error;
+    const winner = await Promise.any(taskPromises);
+    if (options.cancelLosers) {
+      links.forEach((link) => link.controller.abort());
+    }
+    return winner;
+  } catch (aggregate) {
+    const results = tasks.map((task, index) => createFailedResult(task, aggregate.errors[index]));
+    throw createSettledFailure(results, aggregate.errors);
+  } finally {
+    Promise.allSettled(taskPromises).then(() => links.forEach((link) => link.release()));
   }
 };
 
 /**
- * Processes tasks using Promise.race() - completes when first task finishes
+ * Processes tasks with Promise.race() using async/await
  * @param {Array<Object>} tasks - Array of tasks to process
- * @returns {Promise<string>} Resolves with the first completed task result
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @returns {Promise<Object>} Resolves with the result record of the first task to finish
  */
-const processTasksRace = async (tasks) => {
+const processTasksRaceAsync = async (tasks, options = {}) => {
   if (!Array.isArray(tasks) || tasks.length === 0) {
     throw new Error('Tasks must be a non-empty array');
   }
 
-  const taskPromises = tasks.map((task) => processTaskPromise(task));
-  
-  try {
-    return await Promise.race(taskPromises);
-  } catch (error) {
-    throw error;
-  }
+  emitQueued(tasks, options);
+
+  const taskPromises = tasks.map((task) => processTaskWithRetry(task, options));
+  const winner = await Promise.race(taskPromises);
+  return winner;
 };
 
 // ============================================================================
-// ASYNC/AWAIT IMPLEMENTATION (Improved Readability)
+// DEPENDENCY GRAPH EXECUTION
 // ============================================================================
 
 /**
- * Processes a single task using async/await
- * @param {Object} task - Task to process
- * @returns {Promise<string>} Resolves with success message
+ * Builds the dependency graph declared through `dependsOn` and checks that it
+ * is a DAG: every id must exist, be unique, and no task may depend on itself
+ * directly or transitively.
+ * @param {Array<Object>} tasks - Tasks declaring optional `dependsOn: [ids]`
+ * @returns {Object} { dependents, dependencyCounts } indexed by task position
+ * @throws {TaskValidationError} On duplicate ids, unknown ids or cycles
  */
-const processTaskAsync = async (task) => {
-  // Validate task
-  validateTask(task);
-  
-  // Get processing duration
-  const duration = task.duration || 300;
-  
-  // Simulate async processing with delay
-  await delay(duration);
-  
-  // Return result
-  return `Task "${task.name}" (ID: ${task.id}) completed successfully in ${duration}ms`;
+const buildDependencyGraph = (tasks) => {
+  const indexById = new Map();
+
+  tasks.forEach((task, index) => {
+    validateTaskShape(task);
+    if (indexById.has(task.id)) {
+      throw new TaskValidationError(`Duplicate task id ${task.id} in dependency graph`, task);
+    }
+    indexById.set(task.id, index);
+  });
+
+  const dependencies = tasks.map((task) => {
+    if (task.dependsOn === undefined) {
+      return [];
+    }
+    if (!Array.isArray(task.dependsOn)) {
+      throw new TaskValidationError(`Task ${task.id} ("${task.name}") dependsOn must be an array of task ids`, task);
+    }
+
+    return [...new Set(task.dependsOn)].map((dependencyId) => {
+      if (!indexById.has(dependencyId)) {
+        throw new TaskValidationError(
+          `Task ${task.id} ("${task.name}") depends on unknown task id ${dependencyId}`,
+          task
+        );
+      }
+      return indexById.get(dependencyId);
+    });
+  });
+
+  // Depth-first search; reaching a task that is still on the stack closes a cycle
+  const VISITING = 1;
+  const VISITED = 2;
+  const state = new Array(tasks.length).fill(0);
+  const stack = [];
+
+  const visit = (index) => {
+    state[index] = VISITING;
+    stack.push(index);
+
+    for (const dependencyIndex of dependencies[index]) {
+      if (state[dependencyIndex] === VISITING) {
+        const cycle = stack.slice(stack.indexOf(dependencyIndex)).concat(dependencyIndex);
+        throw new TaskValidationError(
+          `Dependency cycle detected: ${cycle.map((i) => tasks[i].id).join(' -> ')}`,
+          tasks[index]
+        );
+      }
+      if (state[dependencyIndex] !== VISITED) {
+        visit(dependencyIndex);
+      }
+    }
+
+    stack.pop();
+    state[index] = VISITED;
+  };
+
+  tasks.forEach((task, index) => {
+    if (state[index] !== VISITED) {
+      visit(index);
+    }
+  });
+
+  const dependents = tasks.map(() => []);
+  dependencies.forEach((dependencyIndexes, index) => {
+    dependencyIndexes.forEach((dependencyIndex) => dependents[dependencyIndex].push(index));
+  });
+
+  return {
+    dependents,
+    dependencyCounts: dependencies.map((dependencyIndexes) => dependencyIndexes.length)
+  };
 };
 
 /**
- * Processes all tasks sequentially using async/await (clean and readable)
- * @param {Array<Object>} tasks - Array of tasks to process
- * @returns {Promise<Array<string>>} Resolves with array of results
+ * Validates the `dependsOn` declarations of a task list without running it
+ * @param {Array<Object>} tasks - Tasks to check
+ * @throws {TaskValidationError} On duplicate ids, unknown ids or cycles
+ */
+const validateDependencies = (tasks) => {
+  buildDependencyGraph(tasks);
+};
+
+/**
+ * Processes tasks in dependency order. Every task whose dependencies have
+ * completed is started right away, so independent branches run in parallel.
+ * When a task fails, all tasks that depend on it (directly or transitively)
+ * are skipped; unrelated branches keep running.
+ * @param {Array<Object>} tasks - Tasks declaring optional `dependsOn: [ids]`
+ * @param {Object} [options] - Run options
+ * @param {number} [options.concurrency] - Maximum number of tasks in flight (unlimited by default)
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {string} [options.scheduling='fifo'] - Order of ready tasks: 'fifo' or 'priority'
+ * @param {number} [options.aging=0] - Priority aging rate for 'priority' scheduling
+ * @returns {Promise<Array<Object>>} Resolves with one result record per task, in input order.
+ *   Skipped tasks have status 'skipped' and the failed task's id in `skippedBecause`.
+ * @throws {TaskValidationError} If the dependency graph is invalid, or a task declares an
+ *   invalid priority under 'priority' scheduling
  */
-const processTasksAsyncAwait = async (tasks) => {
-  // Validate input
+const processTasksGraph = async (tasks, options = {}) => {
   if (!Array.isArray(tasks) || tasks.length === 0) {
     throw new Error('Tasks must be a non-empty array');
   }
 
-  const results = [];
-  
-  // Process each task sequentially with improved error handling
-  for (const task of tasks) {
-    try {
-      const result = await processTaskAsync(task);
-      results.push(result);
-      console.log(`✓ ${result}`);
-    } catch (error) {
-      // Enhanced error handling with context
-      if (error instanceof TaskProcessingError) {
-        console.error(`✗ Error processing task ${error.taskId} (${error.taskName}): ${error.message}`);
-        throw error; // Re-throw to stop processing
-      } else if (error instanceof TaskValidationError) {
-        console.error(`✗ Validation error: ${error.message}`);
-        throw error;
-      } else {
-        console.error(`✗ Unexpected error: ${error.message}`);
-        throw error;
+  const { dependents, dependencyCounts } = buildDependencyGraph(tasks);
+  const concurrency = options.concurrency === undefined ? Infinity : resolveConcurrency(options);
+  const ready = createTaskQueue([], options);
+  // Resolved up front, so an invalid priority fails the run before any task starts
+  const priorities = options.scheduling === 'priority' ? tasks.map(resolveTaskPriority) : null;
+  const results = new Array(tasks.length);
+  const remaining = [...dependencyCounts];
+  let running = 0;
+  let settled = 0;
+
+  const enqueue = (index) => {
+    emitQueued([tasks[index]], options);
+    if (priorities) {
+      ready.enqueue({ task: tasks[index], index }, priorities[index]);
+    } else {
+      ready.enqueue({ task: tasks[index], index });
+    }
+  };
+
+  // Mark every not-yet-settled task downstream of a failed one as skipped
+  const skipDependents = (index, failedTask) => {
+    for (const dependentIndex of dependents[index]) {
+      if (results[dependentIndex]) {
+        continue;
       }
+      results[dependentIndex] = createTaskResult(tasks[dependentIndex], {
+        status: 'skipped',
+        skippedBecause: failedTask.id
+      });
+      emitEvent(options, 'task:skipped', {
+        ...describeTask(tasks[dependentIndex]),
+        skippedBecause: failedTask.id,
+        result: results[dependentIndex]
+      });
+      settled++;
+      skipDependents(dependentIndex, failedTask);
     }
-  }
-  
+  };
+
+  tasks.forEach((task, index) => {
+    if (remaining[index] === 0) {
+      enqueue(index);
+    }
+  });
+
+  await new Promise((resolve) => {
+    const startReady = () => {
+      if (settled === tasks.length) {
+        return resolve();
+      }
+
+      while (running < concurrency && ready.size > 0) {
+        const { task, index } = ready.dequeue();
+        running++;
+
+        processTaskWithRetry(task, options)
+          .then((result) => {
+            results[index] = result;
+            dependents[index].forEach((dependentIndex) => {
+              remaining[dependentIndex]--;
+              if (remaining[dependentIndex] === 0 && !results[dependentIndex]) {
+                enqueue(dependentIndex);
+              }
+            });
+          })
+          .catch((error) => {
+            results[index] = createFailedResult(task, error);
+            skipDependents(index, task);
+          })
+          .then(() => {
+            running--;
+            settled++;
+            startReady();
+          });
+      }
+    };
+
+    startReady();
+  });
+
   return results;
 };
 
+// ============================================================================
+// DURABLE EXECUTION (JOURNAL-BACKED QUEUE)
+// ============================================================================
+
 /**
- * Processes tasks in parallel using async/await with Promise.all()
- * @param {Array<Object>} tasks - Array of tasks to process
- * @returns {Promise<Array<string>>} Resolves with array of results
+ * Processes tasks sequentially while recording every state change in a
+ * durable journal (see jobQueue.js). Running the same tasks again after a
+ * crash reuses the stored results of finished tasks and resumes the rest.
+ * Tasks that were running when the process died are run again.
+ *
+ * Failures do not stop the run; the failed result is journaled and the next
+ * task starts. Cancelling the run puts the current task back in the queue.
+ * @param {Array<Object>} tasks - Array of tasks to process; ids must be unique
+ * @param {Object} options - Run options
+ * @param {string} [options.journal] - Directory holding the journal
+ * @param {JobQueue} [options.queue] - Already open queue to use instead of `journal`
+ * @param {number} [options.compactEvery] - Journal records between compactions
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @returns {Promise<Array<Object>>} One result record per task, in input order
+ * @throws {TaskCancelledError} If the run is cancelled
  */
-const processTasksParallelAsync = async (tasks) => {
+const processTasksDurable = async (tasks, options = {}) => {
   if (!Array.isArray(tasks) || tasks.length === 0) {
     throw new Error('Tasks must be a non-empty array');
   }
+  const { journal, compactEvery } = options;
+  if (!options.queue && typeof journal !== 'string') {
+    throw new Error('processTasksDurable needs a journal directory or an open JobQueue');
+  }
+  tasks.forEach(validateTaskShape);
 
+  const queue = options.queue || await JobQueue.open(journal, { compactEvery });
+  let queued = false;
+  let dequeued = 0;
   try {
-    // Create array of promises
-    const taskPromises = tasks.map((task) => processTaskAsync(task));
-    
-    // Wait for all tasks to complete
-    const results = await Promise.all(taskPromises);
-    
+    for (const task of tasks) {
+      await queue.enqueue(task);
+    }
+    emitQueued(tasks, options);
+    queued = true;
+
+    const results = [];
+    for (const task of tasks) {
+      const job = queue.get(task.id);
+      // The journal hands back its own copy of the task, so count this one off here
+      markDequeued(task);
+      dequeued++;
+      if (job.state === 'succeeded' || job.state === 'failed') {
+        results.push(job.result);
+        continue;
+      }
+
+      await queue.markRunning(job.id);
+      try {
+        const result = await processTaskWithRetry(job.task, options);
+        await queue.markSucceeded(job.id, result);
+        results.push(result);
+      } catch (error) {
+        if (error instanceof TaskCancelledError) {
+          await queue.requeue(job.id);
+          throw error;
+        }
+        const result = createFailedResult(job.task, error);
+        await queue.markFailed(job.id, result);
+        results.push(result);
+      }
+    }
+
     return results;
-  } catch (error) {
-    // Enhanced error handling
-    if (error instanceof TaskProcessingError) {
-      console.error(`Parallel processing failed for task ${error.taskId}: ${error.message}`);
+  } finally {
+    // Whatever stopped the run - cancellation or a failing journal - the rest is no longer queued
+    if (queued) {
+      releaseQueued(tasks.slice(dequeued));
+    }
+    if (!options.queue) {
+      await queue.close();
     }
-    throw error;
   }
 };
 
+// ============================================================================
+// RECURRING SCHEDULES
+// ============================================================================
+
 /**
- * Processes tasks with Promise.race() using async/await
- * @param {Array<Object>} tasks - Array of tasks to process
- * @returns {Promise<string>} Resolves with the first completed task result
+ * Creates a scheduler for the tasks that declare a `schedule`. Each
+ * occurrence runs through processTaskWithRetry, so retries, timeouts and
+ * task events work as in the other runners.
+ * @param {Array<Object>} tasks - Tasks; those without `schedule` are ignored
+ * @param {Object} [options] - Scheduler and run options
+ * @param {string} [options.stateFile] - JSON file remembering last runs, needed for catch-up
+ * @param {AbortSignal} [options.signal] - Cancels runs in progress
+ * @param {EventEmitter} [options.emitter] - Receives task events for every occurrence
+ * @returns {Scheduler} Scheduler; call start() to begin firing
  */
-const processTasksRaceAsync = async (tasks) => {
-  if (!Array.isArray(tasks) || tasks.length === 0) {
-    throw new Error('Tasks must be a non-empty array');
+const createScheduler = (tasks, options = {}) => {
+  const { stateFile, ...runOptions } = options;
+  return new Scheduler(tasks, {
+    stateFile,
+    run: (task) => processTaskWithRetry(task, runOptions)
+  });
+};
+
+/**
+ * Long-running scheduler mode (`node taskRunner.js --schedule`). Fires the
+ * scheduled tasks in a task file until the process receives SIGINT or SIGTERM.
+ * @param {Array<Object>} tasks - Validated tasks
+ * @param {Object} options - Options for createScheduler()
+ * @returns {Promise<void>} Resolves once the scheduler has stopped
+ */
+const runSchedulerMode = async (tasks, options) => {
+  const scheduler = createScheduler(tasks, options);
+  scheduler.on('schedule:fire', ({ taskId, taskName, scheduledAt, catchUp }) => {
+    logger.info(`⏰ ${catchUp ? 'Catching up' : 'Running'} "${taskName}" scheduled for ${scheduledAt.toISOString()}`, { taskId });
+  });
+  scheduler.on('schedule:skip', ({ taskId, taskName, reason }) => {
+    logger.warn(`⏭ Skipped "${taskName}": ${reason}`, { taskId });
+  });
+  scheduler.on('schedule:success', ({ taskId, result }) => {
+    logger.info(`✓ ${formatTaskResult(result)}`, { taskId });
+  });
+  scheduler.on('schedule:failure', ({ taskId, taskName, error }) => {
+    logger.error(`✗ "${taskName}" failed: ${error.message}`, { taskId });
+  });
+  scheduler.on('state:error', ({ stateFile, error }) => {
+    logger.warn(`Could not save the schedule state: ${error.message}`, { stateFile });
+  });
+
+  await scheduler.start();
+  logger.info('Upcoming runs:');
+  scheduler.upcoming(2).forEach(({ taskName, at }) => {
+    logger.info(`  ${at.toISOString()}  ${taskName}`);
+  });
+  logger.info('\nScheduler running - press Ctrl+C to stop\n');
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  logger.info('\nStopping scheduler, waiting for runs in progress...');
+  await scheduler.stop();
+};
+
+// ============================================================================
+// TASK RUNNER (EVENT EMITTER)
+// ============================================================================
+
+/**
+ * Runners a TaskRunner can drive, keyed by the `mode` option of run()
+ */
+const RUN_MODES = {
+  sequential: processTasksAsyncAwait,
+  pool: processTasksPoolAsync,
+  parallel: processTasksParallelAsync,
+  settle: processTasksAllSettledAsync,
+  any: processTasksAnyAsync,
+  race: processTasksRaceAsync,
+  graph: processTasksGraph,
+  durable: processTasksDurable
+};
+
+/**
+ * Runs tasks and reports their lifecycle as events instead of printing.
+ *
+ * Events (every payload includes `runId`):
+ *   run:start          { mode, taskCount, startedAt }
+ *   task:queued        { taskId, taskName, type, priority }
+ *   task:throttled     { taskId, taskName, type, priority, key, attempt, wait }
+ *   task:start         { taskId, taskName, type, priority, attempt, startedAt }
+ *   task:retry         { taskId, taskName, type, priority, attempt, delay, error }
+ *   task:success       { taskId, taskName, type, priority, result }
+ *   task:failure       { taskId, taskName, type, priority, error, result }
+ *   task:skipped       { taskId, taskName, type, priority, skippedBecause, result }
+ *   task:deduplicated  { taskId, taskName, type, priority, idempotencyKey, source, originalRunId }
+ *   task:cached        { taskId, taskName, type, priority, key, storedAt, result }
+ *   task:dead-lettered { taskId, taskName, type, priority, deadLetterId }
+ *   run:end            { mode, startedAt, finishedAt, duration, results, summary, error }
+ *
+ * Circuit breaker state changes are not tied to a run; they are emitted by
+ * `circuitBreakers`.
+ */
+class TaskRunner extends EventEmitter {
+  /**
+   * @param {Object} [defaults] - Options applied to every run, e.g. { concurrency: 2 }
+   */
+  constructor(defaults = {}) {
+    super();
+    this.defaults = defaults;
   }
 
-  try {
-    const taskPromises = tasks.map((task) => processTaskAsync(task));
-    const winner = await Promise.race(taskPromises);
-    return winner;
-  } catch (error) {
-    console.error(`Race failed: ${error.message}`);
-    throw error;
+  /**
+   * Runs a list of tasks with one of the runners in this module
+   * @param {Array<Object>} tasks - Tasks to run
+   * @param {Object} [options] - Options for the selected runner
+   * @param {string} [options.mode='sequential'] - One of the keys of RUN_MODES
+   * @returns {Promise<*>} Whatever the selected runner resolves with
+   */
+  async run(tasks, options = {}) {
+    const { mode = 'sequential', ...runOptions } = { ...this.defaults, ...options };
+    const runner = RUN_MODES[mode];
+    if (!runner) {
+      throw new Error(`Mode must be one of: ${Object.keys(RUN_MODES).join(', ')}`);
+    }
+
+    const runId = randomUUID();
+    const startedAt = clock.now();
+    const span = startSpan(`run ${mode}`, {
+      parent: runOptions.trace,
+      attributes: { 'run.id': runId, 'run.mode': mode, 'run.task_count': tasks.length }
+    });
+    logEvent('run:start', { runId, mode, taskCount: tasks.length });
+    this.emit('run:start', { runId, mode, taskCount: tasks.length, startedAt });
+
+    const finish = (value, error) => {
+      const results = error ? error.results || [] : [].concat(value);
+      const summary = summarizeResults(results);
+      const finishedAt = clock.now();
+      Object.entries(summary).forEach(([status, count]) => span.setAttribute(`run.tasks.${status}`, count));
+      span.end(error);
+      logEvent('run:end', { runId, mode, duration: finishedAt - startedAt, error: error ? serializeError(error) : null });
+      this.emit('run:end', {
+        runId,
+        mode,
+        startedAt,
+        finishedAt,
+        duration: finishedAt - startedAt,
+        results,
+        summary,
+        error: error ? serializeError(error) : null
+      });
+    };
+
+    try {
+      const value = await runner(tasks, { ...runOptions, emitter: this, runId, trace: span.context() });
+      finish(value, null);
+      return value;
+    } catch (error) {
+      finish(null, error);
+      throw error;
+    }
   }
-};
+}
 
 // ============================================================================
 // MAIN EXECUTION
@@ -341,30 +3229,66 @@ async function main() {
     const tasksData = await fs.readFile(tasksFilePath, 'utf8');
     const allTasks = JSON.parse(tasksData);
     
+    // Reject malformed tasks, unknown ids and cycles in dependsOn before anything runs
+    validateTaskFile(allTasks);
+    validateDependencies(allTasks);
+
+    if (process.argv.includes('--schedule')) {
+      // METRICS_PORT exposes the scheduler's metrics, e.g. METRICS_PORT=9464
+      const metricsServer = process.env.METRICS_PORT
+        ? await startMetricsServer({ port: Number(process.env.METRICS_PORT) })
+        : null;
+      if (metricsServer) {
+        logger.info(`Metrics at http://localhost:${metricsServer.address().port}/metrics`);
+      }
+      try {
+        await runSchedulerMode(allTasks, { stateFile: path.join(__dirname, '.schedule-state.json') });
+      } finally {
+        if (metricsServer) {
+          metricsServer.close();
+        }
+      }
+      return;
+    }
+    
     // Filter out the error task for sequential processing examples
     const validTasks = allTasks.filter(task => task.type !== 'error');
     const tasksWithError = allTasks; // Include error task for error handling demo
 
-    console.log('='.repeat(70));
-    console.log('ASYNCHRONOUS TASK RUNNER - DEMONSTRATION');
-    console.log('='.repeat(70));
-    console.log(`\nLoaded ${allTasks.length} tasks from tasks.json\n`);
+    // The library only emits events; printing progress is up to the caller
+    const runner = new TaskRunner();
+    runner.on('task:success', ({ runId, taskId, result }) => {
+      logger.info(`✓ ${formatTaskResult(result)}`, { runId, taskId });
+    });
+    runner.on('task:retry', ({ runId, taskId, attempt, delay: retryDelay, error }) => {
+      logger.warn(`↻ Task ${taskId} attempt ${attempt} failed (${error.message}); retrying in ${retryDelay}ms`, { runId, taskId });
+    });
+    runner.on('task:failure', ({ runId, taskId, taskName, error, result }) => {
+      logger.error(
+        `✗ Error processing task ${taskId} (${taskName}) after ${result.attempts.length} attempt(s): ${error.message}`,
+        { runId, taskId }
+      );
+    });
+    const events = { emitter: runner };
+
+    logger.info('='.repeat(70));
+    logger.info('ASYNCHRONOUS TASK RUNNER - DEMONSTRATION');
+    logger.info('='.repeat(70));
+    logger.info(`\nLoaded ${allTasks.length} tasks from tasks.json\n`);
 
     // ========================================================================
     // 1. CALLBACK-BASED IMPLEMENTATION
     // ========================================================================
-    console.log('\n' + '-'.repeat(70));
-    console.log('1. CALLBACK-BASED IMPLEMENTATION (Error-First Pattern)');
-    console.log('-'.repeat(70));
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('1. CALLBACK-BASED IMPLEMENTATION (Error-First Pattern)');
+    logger.info('-'.repeat(70));
     
     processTasksCallbacks(validTasks.slice(0, 3), (error, results) => {
       if (error) {
-        console.error('Callback Error:', error.message);
+        logger.error(`Callback Error: ${error.message}`);
       } else {
-        console.log('\nCallback Results:');
-        results.forEach((result, index) => {
-          console.log(`  ${index + 1}. ${result}`);
-        });
+        logger.info('\nCallback Results:');
+        logger.info(formatResults(results));
       }
     });
 
@@ -374,101 +3298,767 @@ async function main() {
     // ========================================================================
     // 2. PROMISE-BASED IMPLEMENTATION
     // ========================================================================
-    console.log('\n' + '-'.repeat(70));
-    console.log('2. PROMISE-BASED IMPLEMENTATION');
-    console.log('-'.repeat(70));
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('2. PROMISE-BASED IMPLEMENTATION');
+    logger.info('-'.repeat(70));
     
     try {
       const promiseResults = await processTasksPromises(validTasks.slice(0, 3));
-      console.log('\nPromise Results (Sequential):');
-      promiseResults.forEach((result, index) => {
-        console.log(`  ${index + 1}. ${result}`);
-      });
+      logger.info('\nPromise Results (Sequential):');
+      logger.info(formatResults(promiseResults));
     } catch (error) {
-      console.error('Promise Error:', error.message);
+      logger.error(`Promise Error: ${error.message}`);
     }
 
     // ========================================================================
     // 3. ASYNC/AWAIT IMPLEMENTATION (Improved Readability)
     // ========================================================================
-    console.log('\n' + '-'.repeat(70));
-    console.log('3. ASYNC/AWAIT IMPLEMENTATION (Sequential Processing)');
-    console.log('-'.repeat(70));
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('3. ASYNC/AWAIT IMPLEMENTATION (Sequential Processing)');
+    logger.info('-'.repeat(70));
     
     try {
-      const asyncResults = await processTasksAsyncAwait(validTasks.slice(0, 3));
-      console.log(`\n✓ All ${asyncResults.length} tasks completed successfully!`);
+      const asyncResults = await processTasksAsyncAwait(validTasks.slice(0, 3), events);
+      logger.info(`\n✓ All ${asyncResults.length} tasks completed successfully!`);
     } catch (error) {
-      console.error(`\n✗ Processing stopped due to error: ${error.message}`);
+      logger.error(`\n✗ Processing stopped due to error: ${error.message}`);
     }
 
     // ========================================================================
     // 4. PROMISE.ALL() DEMONSTRATION (Parallel Processing)
     // ========================================================================
-    console.log('\n' + '-'.repeat(70));
-    console.log('4. PROMISE.ALL() - PARALLEL PROCESSING');
-    console.log('-'.repeat(70));
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('4. PROMISE.ALL() - PARALLEL PROCESSING');
+    logger.info('-'.repeat(70));
     
     try {
-      console.log('Processing tasks in parallel...');
+      logger.info('Processing tasks in parallel...');
       const startTime = Date.now();
       const parallelResults = await processTasksParallelAsync(validTasks.slice(0, 4));
       const endTime = Date.now();
       const duration = endTime - startTime;
       
-      console.log('\nParallel Results:');
-      parallelResults.forEach((result, index) => {
-        console.log(`  ${index + 1}. ${result}`);
-      });
-      console.log(`\n✓ All tasks completed in parallel in ${duration}ms`);
+      logger.info('\nParallel Results:');
+      logger.info(formatResults(parallelResults));
+      logger.info(`\n✓ All tasks completed in parallel in ${duration}ms`);
+    } catch (error) {
+      logger.error(`\n✗ Parallel processing error: ${error.message}`);
+    }
+
+    // ========================================================================
+    // 5. CONCURRENCY-LIMITED POOL DEMONSTRATION
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('5. CONCURRENCY-LIMITED POOL - AT MOST 2 TASKS IN FLIGHT');
+    logger.info('-'.repeat(70));
+    
+    try {
+      logger.info('Processing tasks through a pool of 2...');
+      const startTime = Date.now();
+      const poolResults = await processTasksPoolAsync(validTasks, { concurrency: 2 });
+      const duration = Date.now() - startTime;
+      
+      logger.info('\nPool Results:');
+      logger.info(formatResults(poolResults));
+      logger.info(`\n✓ ${poolResults.length} tasks completed with concurrency 2 in ${duration}ms`);
     } catch (error) {
-      console.error(`\n✗ Parallel processing error: ${error.message}`);
+      logger.error(`\n✗ Pool processing error: ${error.message}`);
     }
 
     // ========================================================================
-    // 5. PROMISE.RACE() DEMONSTRATION
+    // 6. PROMISE.RACE() DEMONSTRATION
     // ========================================================================
-    console.log('\n' + '-'.repeat(70));
-    console.log('5. PROMISE.RACE() - FIRST TO COMPLETE');
-    console.log('-'.repeat(70));
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('6. PROMISE.RACE() - FIRST TO COMPLETE');
+    logger.info('-'.repeat(70));
     
     try {
-      console.log('Racing tasks... (first to complete wins)');
+      logger.info('Racing tasks... (first to complete wins)');
       const raceResult = await processTasksRaceAsync(validTasks.slice(0, 5));
-      console.log(`\n🏆 Winner: ${raceResult}`);
+      logger.info(`\n🏆 Winner: ${formatTaskResult(raceResult)}`);
     } catch (error) {
-      console.error(`\n✗ Race error: ${error.message}`);
+      logger.error(`\n✗ Race error: ${error.message}`);
     }
 
     // ========================================================================
-    // 6. CUSTOM ERROR HANDLING DEMONSTRATION
+    // 7. CUSTOM ERROR HANDLING DEMONSTRATION
     // ========================================================================
-    console.log('\n' + '-'.repeat(70));
-    console.log('6. CUSTOM ERROR HANDLING DEMONSTRATION');
-    console.log('-'.repeat(70));
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('7. CUSTOM ERROR HANDLING DEMONSTRATION');
+    logger.info('-'.repeat(70));
     
     try {
       // This will trigger the error task (include first 3 valid tasks + error task)
       const errorDemoTasks = [...validTasks.slice(0, 3), tasksWithError.find(t => t.type === 'error')];
-      await processTasksAsyncAwait(errorDemoTasks);
+      await processTasksAsyncAwait(errorDemoTasks, events);
     } catch (error) {
       if (error instanceof TaskProcessingError) {
-        console.log(`\n✓ Custom error caught successfully:`);
-        console.log(`  Error Type: ${error.name}`);
-        console.log(`  Task ID: ${error.taskId}`);
-        console.log(`  Task Name: ${error.taskName}`);
-        console.log(`  Message: ${error.message}`);
+        logger.info(`\n✓ Custom error caught successfully:`);
+        logger.info(`  Error Type: ${error.name}`);
+        logger.info(`  Task ID: ${error.taskId}`);
+        logger.info(`  Task Name: ${error.taskName}`);
+        logger.info(`  Message: ${error.message}`);
+      } else {
+        logger.error(`\n✗ Unexpected error type: ${error.message}`);
+      }
+    }
+
+    // ========================================================================
+    // 8. TIMEOUTS AND CANCELLATION
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('8. TIMEOUTS AND CANCELLATION (AbortSignal)');
+    logger.info('-'.repeat(70));
+    
+    try {
+      await processTaskAsync({ ...validTasks[2], timeout: 300 });
+    } catch (error) {
+      if (error instanceof TaskTimeoutError) {
+        logger.info(`✓ Timeout caught: ${error.message}`);
+      } else {
+        logger.error(`✗ Unexpected error type: ${error.message}`);
+      }
+    }
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 600);
+    
+    try {
+      await processTasksAsyncAwait(validTasks, { ...events, signal: controller.signal });
+    } catch (error) {
+      if (error instanceof TaskCancelledError) {
+        logger.info(`✓ Run cancelled at task ${error.taskId} (${error.taskName})`);
+      } else {
+        logger.error(`✗ Unexpected error type: ${error.message}`);
+      }
+    }
+
+    // ========================================================================
+    // 9. PRIORITY SCHEDULING
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('9. PRIORITY SCHEDULING (high before medium before low)');
+    logger.info('-'.repeat(70));
+    
+    try {
+      await processTasksAsyncAwait(validTasks, { ...events, scheduling: 'priority' });
+    } catch (error) {
+      logger.error(`\n✗ Priority scheduling error: ${error.message}`);
+    }
+
+    // ========================================================================
+    // 10. DEPENDENCY GRAPH (dependsOn)
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('10. DEPENDENCY GRAPH - TASKS RUN ONCE THEIR DEPENDENCIES FINISH');
+    logger.info('-'.repeat(70));
+    
+    try {
+      const errorTask = tasksWithError.find(t => t.type === 'error');
+      const graphTasks = [
+        ...validTasks,
+        errorTask,
+        { id: 8, name: 'Notify on demo task', type: 'communication', duration: 100, dependsOn: [errorTask.id] }
+      ];
+      const graphResults = await processTasksGraph(graphTasks);
+      
+      logger.info('\nGraph Results:');
+      logger.info(formatResults(graphResults));
+      logger.info(`\n${formatSummary(graphResults)}`);
+    } catch (error) {
+      logger.error(`\n✗ Dependency graph error: ${error.message}`);
+    }
+
+    // ========================================================================
+    // 11. PLUGGABLE TASK HANDLERS
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('11. PLUGGABLE TASK HANDLERS (registerHandler)');
+    logger.info('-'.repeat(70));
+    
+    try {
+      registerHandler('validation', async (task, ctx) => {
+        await delay(task.duration, ctx.signal);
+        return `Validated ${task.input.length} record(s) for "${task.name}" on attempt ${ctx.attempt}`;
+      });
+      const validationTask = { ...allTasks.find(t => t.type === 'validation'), input: [{ id: 1 }, { id: 2 }] };
+      const { output } = await processTaskAsync(validationTask);
+      logger.info(`✓ ${output}`);
+    } catch (error) {
+      logger.error(`\n✗ Handler error: ${error.message}`);
+    } finally {
+      // Restore the simulated handler for the remaining demos
+      registerHandler('validation', simulateTask);
+    }
+
+    // ========================================================================
+    // 12. COLLECT-ALL-ERRORS MODE (Promise.allSettled / AggregateError)
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('12. COLLECT ALL ERRORS - EVERY TASK RUNS, FAILURES ARE REPORTED TOGETHER');
+    logger.info('-'.repeat(70));
+    
+    try {
+      await processTasksAllSettledAsync(allTasks, { concurrency: 3, throwOnFailure: true });
+      logger.info('✓ Every task succeeded');
+    } catch (error) {
+      if (error instanceof AggregateError) {
+        logger.info(`✓ ${formatSummary(error.results)}; AggregateError reported: ${error.message}`);
+        error.errors.forEach((taskError) => {
+          logger.info(`  - ${taskError.name}: ${taskError.message}`);
+        });
       } else {
-        console.error(`\n✗ Unexpected error type: ${error.message}`);
+        logger.error(`\n✗ Unexpected error type: ${error.message}`);
+      }
+    }
+
+    // ========================================================================
+    // 13. PROMISE.ANY() - FIRST SUCCESS WINS
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('13. PROMISE.ANY() - FIRST SUCCESSFUL CHANNEL WINS, LOSERS ARE CANCELLED');
+    logger.info('-'.repeat(70));
+    
+    try {
+      const channels = [
+        { id: 21, name: 'Notify via SMS', type: 'error', duration: 100 },
+        { id: 22, name: 'Notify via email', type: 'communication', duration: 300 },
+        { id: 23, name: 'Notify via push', type: 'communication', duration: 600 }
+      ];
+      const winner = await processTasksAnyAsync(channels, { cancelLosers: true });
+      logger.info(`\n🏆 First success: ${formatTaskResult(winner)}`);
+    } catch (error) {
+      logger.error(`\n✗ Every channel failed: ${error.message}`);
+    }
+
+    // ========================================================================
+    // 14. LIFECYCLE EVENTS (TaskRunner)
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('14. LIFECYCLE EVENTS - A TaskRunner REPORTS, THE CALLER PRINTS');
+    logger.info('-'.repeat(70));
+    
+    try {
+      const onRunStart = ({ runId, mode, taskCount }) => {
+        logger.info(`▶ Run started: ${taskCount} tasks in ${mode} mode`, { runId });
+      };
+      const onRunEnd = ({ runId, duration, results }) => {
+        logger.info(`■ Run finished in ${duration}ms: ${formatSummary(results)}`, { runId });
+      };
+      runner.on('run:start', onRunStart);
+      runner.on('run:end', onRunEnd);
+      await runner.run(validTasks.slice(0, 4), { mode: 'pool', concurrency: 2 });
+      runner.off('run:start', onRunStart);
+      runner.off('run:end', onRunEnd);
+    } catch (error) {
+      logger.error(`\n✗ Run error: ${error.message}`);
+    }
+
+    // ========================================================================
+    // 15. DURABLE QUEUE - RESUME AFTER AN INTERRUPTED RUN
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('15. DURABLE QUEUE - AN INTERRUPTED RUN RESUMES FROM ITS JOURNAL');
+    logger.info('-'.repeat(70));
+    
+    const journal = await fs.mkdtemp(path.join(os.tmpdir(), 'task-journal-'));
+    try {
+      const durableTasks = validTasks.slice(0, 3);
+      const interrupt = new AbortController();
+      setTimeout(() => interrupt.abort(), 600);
+      
+      try {
+        await processTasksDurable(durableTasks, { ...events, journal, signal: interrupt.signal });
+      } catch (error) {
+        if (error instanceof TaskCancelledError) {
+          logger.info(`⏸ Run interrupted at task ${error.taskId}; journal kept in ${journal}`);
+        } else {
+          throw error;
+        }
+      }
+      
+      const queue = await JobQueue.open(journal);
+      const states = queue.list().map((job) => `${job.id}=${job.state}`).join(', ');
+      await queue.close();
+      logger.info(`  Journal after restart: ${states}`);
+      
+      const durableResults = await processTasksDurable(durableTasks, { ...events, journal });
+      logger.info('\nResumed Results (task 1 reused from the journal):');
+      logger.info(formatResults(durableResults));
+    } catch (error) {
+      logger.error(`\n✗ Durable queue error: ${error.message}`);
+    } finally {
+      await fs.rm(journal, { recursive: true, force: true });
+    }
+
+    // ========================================================================
+    // 16. RECURRING SCHEDULES
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('16. RECURRING SCHEDULES - CRON AND FIXED INTERVALS');
+    logger.info('-'.repeat(70));
+    
+    try {
+      allTasks.filter((task) => task.schedule).forEach((task) => {
+        const runs = upcomingRuns(task.schedule, { count: 3 });
+        logger.info(`"${task.name}" next runs: ${runs.map((at) => at.toISOString()).join(', ')}`);
+      });
+      
+      // A 250ms interval for a 400ms task: with overlap 'skip' every other occurrence is skipped
+      const heartbeat = { id: 31, name: 'Heartbeat', type: 'system', duration: 400, schedule: { every: '250ms' } };
+      const scheduler = createScheduler([heartbeat]);
+      let fired = 0;
+      let skipped = 0;
+      scheduler.on('schedule:fire', () => fired++);
+      scheduler.on('schedule:skip', () => skipped++);
+      await scheduler.start();
+      await delay(1100);
+      await scheduler.stop();
+      logger.info(`✓ Heartbeat fired ${fired} times and skipped ${skipped} overlapping occurrences`);
+    } catch (error) {
+      logger.error(`\n✗ Scheduler error: ${error.message}`);
+    }
+
+    // ========================================================================
+    // 17. RATE LIMITS (TOKEN BUCKETS)
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('17. RATE LIMITS - AT MOST 4 NOTIFICATIONS PER SECOND, BURST 2');
+    logger.info('-'.repeat(70));
+    
+    try {
+      setRateLimit('communication', { rate: 4, per: '1s', burst: 2 });
+      const notifications = [1, 2, 3, 4, 5].map((n) => ({
+        id: 40 + n,
+        name: `Notification ${n}`,
+        type: 'communication',
+        duration: 50
+      }));
+      const onThrottled = ({ runId, taskId, wait }) => {
+        logger.info(`⏳ Task ${taskId} throttled, expected wait ${wait}ms`, { runId, taskId });
+      };
+      runner.on('task:throttled', onThrottled);
+      const limitedResults = await processTasksParallelAsync(notifications, events);
+      runner.off('task:throttled', onThrottled);
+      logger.info('\nRate-Limited Results:');
+      logger.info(formatResults(limitedResults));
+    } catch (error) {
+      logger.error(`\n✗ Rate limit error: ${error.message}`);
+    } finally {
+      clearRateLimit('communication');
+    }
+
+    // ========================================================================
+    // 18. CIRCUIT BREAKERS
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('18. CIRCUIT BREAKER - SHED A FAILING TASK TYPE, THEN PROBE IT');
+    logger.info('-'.repeat(70));
+    
+    const onCircuitChange = ({ key, state, previousState }) => {
+      logger.info(`⚡ Circuit "${key}": ${previousState} -> ${state}`);
+    };
+    try {
+      let inventoryDown = true;
+      registerHandler('inventory', async (task, ctx) => {
+        await delay(task.duration, ctx.signal);
+        if (inventoryDown) {
+          throw new Error('Inventory service unavailable');
+        }
+        return 'in stock';
+      });
+      setCircuitBreaker('inventory', { failureThreshold: 2, cooldown: '300ms' });
+      ['circuit:open', 'circuit:half-open', 'circuit:closed'].forEach((event) => {
+        circuitBreakers.on(event, onCircuitChange);
+      });
+      
+      const lookups = [1, 2, 3, 4].map((n) => ({ id: 50 + n, name: `Stock lookup ${n}`, type: 'inventory', duration: 50 }));
+      const shedResults = await processTasksAllSettledAsync(lookups, { concurrency: 1 });
+      shedResults.forEach((result) => {
+        logger.info(`  ${result.name}: ${result.error.name} - ${result.error.message}`);
+      });
+      
+      // After the cool-down a single trial task decides whether the circuit closes
+      inventoryDown = false;
+      await delay(300);
+      const probe = await processTaskWithRetry({ id: 55, name: 'Stock lookup 5', type: 'inventory', duration: 50 });
+      logger.info(`✓ ${formatTaskResult(probe)}`);
+    } catch (error) {
+      logger.error(`\n✗ Circuit breaker error: ${error.message}`);
+    } finally {
+      ['circuit:open', 'circuit:half-open', 'circuit:closed'].forEach((event) => {
+        circuitBreakers.off(event, onCircuitChange);
+      });
+      clearCircuitBreaker('inventory');
+      unregisterHandler('inventory');
+    }
+
+    // ========================================================================
+    // 19. WORKER THREADS (runIn: "worker")
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('19. WORKER THREADS - CPU-BOUND HANDLERS OFF THE MAIN EVENT LOOP');
+    logger.info('-'.repeat(70));
+    
+    try {
+      registerHandler('report', path.join(__dirname, 'reportHandler.js'));
+      const reportTask = { id: 61, name: 'Generate report (worker)', type: 'report', duration: 600, runIn: 'worker' };
+      
+      // The main loop keeps ticking while the worker is busy
+      let ticks = 0;
+      const ticker = setInterval(() => ticks++, 100);
+      const report = await processTaskWithRetry(reportTask);
+      clearInterval(ticker);
+      logger.info(`✓ ${formatTaskResult(report)}`);
+      logger.info(`  Main event loop ticked ${ticks} times meanwhile`);
+      
+      try {
+        await processTaskWithRetry({ ...reportTask, id: 62, name: 'Runaway report', duration: 5000, timeout: 300 });
+      } catch (error) {
+        if (error instanceof TaskTimeoutError) {
+          logger.info(`✓ ${error.message}; its worker was terminated`);
+        } else {
+          throw error;
+        }
+      }
+    } catch (error) {
+      logger.error(`\n✗ Worker error: ${error.message}`);
+    } finally {
+      unregisterHandler('report');
+      await closeWorkerPool();
+    }
+
+    // ========================================================================
+    // 20. COMMAND TASKS (type: "command")
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('20. COMMAND TASKS - RUNNING LOCAL PROGRAMS');
+    logger.info('-'.repeat(70));
+
+    try {
+      const countLines = await processTaskWithRetry({
+        id: 71,
+        name: 'Count input lines',
+        type: 'command',
+        command: process.execPath,
+        args: ['-e', 'let n = 0; process.stdin.on("data", (d) => n += String(d).split("\\n").length - 1).on("end", () => console.log(`${n} lines from ${process.env.SOURCE}`))'],
+        env: { SOURCE: 'stdin' },
+        stdin: 'alpha\nbeta\ngamma\n'
+      });
+      logger.info(`✓ ${countLines.name}: exit code ${countLines.output.exitCode}, stdout "${countLines.output.stdout.trim()}"`);
+
+      try {
+        await processTaskWithRetry({
+          id: 72,
+          name: 'Failing migration',
+          type: 'command',
+          command: process.execPath,
+          args: ['-e', 'console.error("migration 007 failed: column already exists"); process.exit(3)'],
+          retries: 0
+        });
+      } catch (error) {
+        logger.info(`✓ ${error.name} (exit code ${error.exitCode}): ${error.message}`);
+      }
+    } catch (error) {
+      logger.error(`\n✗ Command task error: ${error.message}`);
+    }
+
+    // ========================================================================
+    // 21. PAUSE, RESUME AND DRAIN A RUNNING BATCH
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('21. RUN HANDLES - HOLDING A BATCH DURING MAINTENANCE');
+    logger.info('-'.repeat(70));
+
+    try {
+      const batch = validTasks.slice(0, 4).map((task) => ({ ...task, duration: 100 }));
+      const run = processTasksAsyncAwait(batch);
+      const formatStatus = ({ state, pending, running, done }) =>
+        `${state} (pending ${pending}, running ${running}, done ${done})`;
+
+      await delay(150);
+      run.handle.pause();
+      logger.info(`⏸ Paused: ${formatStatus(run.handle.status())}`);
+      await run.handle.drain();
+      logger.info(`  Drained: ${formatStatus(run.handle.status())}`);
+
+      // Downstream maintenance window
+      await delay(200);
+      run.handle.resume();
+      logger.info(`▶ Resumed: ${formatStatus(run.handle.status())}`);
+
+      const batchResults = await run;
+      logger.info(`✓ ${batchResults.length} tasks completed: ${formatStatus(run.handle.status())}`);
+    } catch (error) {
+      logger.error(`\n✗ Run handle error: ${error.message}`);
+    }
+
+    // ========================================================================
+    // 22. VIRTUAL TIME
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('22. VIRTUAL CLOCK - SIMULATED TIME WITHOUT WAITING');
+    logger.info('-'.repeat(70));
+
+    const previousClock = setClock(new VirtualClock({ start: Date.parse('2024-01-01T00:00:00Z') }));
+    try {
+      const wallStart = Date.now();
+      const raceTasks = [
+        { id: 81, name: 'Primary replica', duration: 800 },
+        { id: 82, name: 'Secondary replica', duration: 300 },
+        { id: 83, name: 'Stuck replica', duration: 60000, timeout: 5000 }
+      ];
+      const winner = await processTasksRaceAsync(raceTasks);
+      logger.info(`✓ Race winner: ${winner.name} after ${winner.duration}ms of virtual time`);
+
+      const settled = await processTasksAllSettledAsync(raceTasks);
+      settled.forEach((result) => {
+        logger.info(`  ${result.name}: ${result.status} at virtual ${new Date(result.finishedAt).toISOString()}`);
+      });
+      logger.info(`  Wall time spent: ${Date.now() - wallStart}ms`);
+    } catch (error) {
+      logger.error(`\n✗ Virtual clock error: ${error.message}`);
+    } finally {
+      setClock(previousClock);
+    }
+
+    // ========================================================================
+    // 23. IDEMPOTENCY KEYS
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('23. IDEMPOTENCY KEYS - DUPLICATE SUBMISSIONS RUN ONCE');
+    logger.info('-'.repeat(70));
+
+    const onDuplicate = ({ runId, taskId, taskName, idempotencyKey, source }) => {
+      const outcome = source === 'in-flight' ? 'running - joined it' : 'done - reused result';
+      logger.info(`⇆ ${taskName}: "${idempotencyKey}" already ${outcome}`, { runId, taskId });
+    };
+    runner.on('task:deduplicated', onDuplicate);
+    try {
+      let charges = 0;
+      registerHandler('payment', async (task, ctx) => {
+        await delay(task.duration, ctx.signal);
+        charges++;
+        return `charged order ${task.input.order}`;
+      });
+      const payment = { id: 91, name: 'Process payment', type: 'payment', duration: 200, idempotencyKey: 'payment-order-1042', input: { order: 1042 } };
+
+      // A double click: two overlapping runs submit the same payment
+      const [first, second] = await Promise.all([
+        runner.run([payment], { mode: 'sequential' }),
+        runner.run([{ ...payment, id: 92 }], { mode: 'sequential' })
+      ]);
+      // A retry from the client after the payment went through
+      const [third] = await processTasksAsyncAwait([{ ...payment, id: 93 }], events);
+      logger.info(`✓ Three submissions, ${charges} charge: ${[first[0], second[0], third].map((r) => r.output).join(' / ')}`);
+    } catch (error) {
+      logger.error(`\n✗ Idempotency error: ${error.message}`);
+    } finally {
+      runner.off('task:deduplicated', onDuplicate);
+      unregisterHandler('payment');
+      await forgetIdempotencyKey('payment-order-1042');
+    }
+
+    // ========================================================================
+    // 24. RESULT CACHE
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('24. RESULT CACHE - REUSING OUTPUTS OF REPEATABLE TASKS');
+    logger.info('-'.repeat(70));
+
+    const onCached = ({ runId, taskId, taskName, key }) => {
+      logger.info(`⚡ ${taskName}: cache hit (${key.slice(0, 12)}...)`, { runId, taskId });
+    };
+    runner.on('task:cached', onCached);
+    try {
+      const validateInput = {
+        id: 101,
+        name: 'Validate input data',
+        type: 'validation',
+        duration: 300,
+        input: { rows: 1200, schema: 'orders-v2' },
+        cache: { ttl: '10m' }
+      };
+
+      await processTasksAsyncAwait([validateInput], events);
+      // Same content, different id: served from the cache
+      await processTasksAsyncAwait([{ ...validateInput, id: 102 }], events);
+
+      await invalidateCache(validateInput);
+      const recomputed = await processTaskWithRetry({ ...validateInput, id: 103 });
+      logger.info(`  After invalidateCache(): ${formatTaskResult(recomputed)}`);
+    } catch (error) {
+      logger.error(`\n✗ Result cache error: ${error.message}`);
+    } finally {
+      runner.off('task:cached', onCached);
+      await clearResultCache();
+    }
+
+    // ========================================================================
+    // 25. METRICS
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('25. METRICS - PROMETHEUS COUNTERS FOR EVERYTHING ABOVE');
+    logger.info('-'.repeat(70));
+
+    // Scraped over HTTP from this process, which ran every task above
+    let metricsServer = null;
+    try {
+      metricsServer = await startMetricsServer({ port: 0, host: '127.0.0.1' });
+      const { statusCode, headers, body } = await new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${metricsServer.address().port}/metrics`, (response) => {
+          const chunks = [];
+          response.on('data', (chunk) => chunks.push(chunk));
+          response.on('end', () => resolve({
+            statusCode: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          }));
+          response.on('error', reject);
+        }).on('error', reject);
+      });
+      logger.info(`  GET /metrics -> ${statusCode} ${headers['content-type']}`);
+      const exposition = body.split('\n');
+      exposition
+        .filter((line) => /^task_runner_tasks_(started|succeeded|failed|cancelled)_total\{type="communication"/.test(line))
+        .forEach((line) => logger.info(`  ${line}`));
+      const queueDepth = exposition
+        .filter((line) => line.startsWith('task_runner_queue_depth{'))
+        .reduce((sum, line) => sum + Number(line.split(' ').pop()), 0);
+      logger.info(`  Tasks still queued: ${queueDepth}`);
+    } catch (error) {
+      logger.error(`\n✗ Metrics error: ${error.message}`);
+    } finally {
+      if (metricsServer) {
+        metricsServer.close();
       }
     }
 
-    console.log('\n' + '='.repeat(70));
-    console.log('DEMONSTRATION COMPLETE');
-    console.log('='.repeat(70) + '\n');
+    // ========================================================================
+    // 26. TRACING
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('26. TRACING - WHERE THE TIME OF A RUN WENT');
+    logger.info('-'.repeat(70));
+
+    const spans = new MemorySpanExporter();
+    configureTracing({ exporter: spans });
+    try {
+      // Fails its first attempt so the trace shows the retry
+      registerHandler('sync', async (task, ctx) => {
+        await delay(task.duration, ctx.signal);
+        if (ctx.attempt === 1) {
+          throw new TaskProcessingError('Warehouse API returned 503', task.id, task.name);
+        }
+        return 'synced';
+      });
+
+      await runner.run([
+        { id: 111, name: 'Fetch orders', duration: 200 },
+        { id: 112, name: 'Fetch stock levels', type: 'sync', duration: 150, retries: 1, initialDelay: 100 },
+        { id: 113, name: 'Reconcile', duration: 100, dependsOn: [111, 112] }
+      ], { mode: 'graph' });
+      await flushTracing();
+
+      // Print the spans as a tree, each with its offset from the start of the run
+      const [root] = spans.spans.filter((span) => !span.parentSpanId);
+      const printSpan = (span, depth) => {
+        const offset = span.startTime - root.startTime;
+        const status = span.status.code === 'ERROR' ? `  ✗ ${span.status.message}` : '';
+        logger.info(`  ${'  '.repeat(depth)}${span.name}: +${offset}ms, ${span.endTime - span.startTime}ms${status}`);
+        spans.spans
+          .filter((child) => child.parentSpanId === span.spanId)
+          .sort((a, b) => a.startTime - b.startTime)
+          .forEach((child) => printSpan(child, depth + 1));
+      };
+      printSpan(root, 0);
+      logger.info(`  ${spans.spans.length} spans in trace ${root.traceId}`);
+    } catch (error) {
+      logger.error(`\n✗ Tracing error: ${error.message}`);
+    } finally {
+      unregisterHandler('sync');
+      configureTracing({ exporter: null });
+    }
+
+    // ========================================================================
+    // 27. STRUCTURED LOGGING
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('27. STRUCTURED LOGGING - JSON LINES WITH RUN AND TASK IDS');
+    logger.info('-'.repeat(70));
+
+    // Debug level adds the library's own lifecycle lines to the demo's output
+    const jsonLogger = new Logger({ level: 'debug', format: 'json', errorStream: process.stdout });
+    const previousLogger = setLogger(jsonLogger);
+    try {
+      await runner.run([{ id: 121, name: 'Refresh exchange rates', duration: 50 }]);
+
+      setLogger(silentLogger);
+      await runner.run([{ id: 122, name: 'Refresh exchange rates again', duration: 50 }]);
+    } catch (error) {
+      previousLogger.error(`\n✗ Logging error: ${error.message}`);
+    } finally {
+      setLogger(previousLogger);
+    }
+    logger.info('  (the second run used silentLogger and wrote nothing)');
+
+    // ========================================================================
+    // 28. DEAD-LETTER QUEUE
+    // ========================================================================
+    logger.info('\n' + '-'.repeat(70));
+    logger.info('28. DEAD-LETTER QUEUE - RECOVERING TASKS THAT FAILED FOR GOOD');
+    logger.info('-'.repeat(70));
+
+    try {
+      registerHandler('import', async (task, ctx) => {
+        await delay(task.duration, ctx.signal);
+        if (task.input.url.includes('old.example')) {
+          throw new TaskProcessingError(`GET ${task.input.url} returned 404`, task.id, task.name);
+        }
+        return `imported ${task.input.url}`;
+      });
+
+      const failedSoFar = await listDeadLetters();
+      logger.info(`  ${failedSoFar.length} task(s) failed for good in the sections above`);
+
+      await processTaskWithRetry({
+        id: 131,
+        name: 'Import supplier feed',
+        type: 'import',
+        duration: 50,
+        input: { url: 'https://old.example/feed.csv' },
+        retries: 1,
+        initialDelay: 50
+      }, events).catch(() => {});
+
+      const [entry] = await listDeadLetters({ type: 'import' });
+      const details = await inspectDeadLetter(entry.id);
+      logger.info(`  Dead letter ${details.id.slice(0, 8)}...: "${details.task.name}" after ${details.attempts.length} attempts`);
+      details.attempts.forEach(({ attempt, error }) => {
+        logger.info(`    attempt ${attempt}: ${error.name}: ${error.message}`);
+      });
+
+      // The supplier moved the feed: fix the payload and run the task again
+      const recovered = await requeueDeadLetter(entry.id, {
+        ...events,
+        patch: { input: { url: 'https://new.example/feed.csv' } }
+      });
+      logger.info(`  Requeued: ${recovered.status} - ${recovered.output}`);
+
+      const purged = await purgeDeadLetters();
+      logger.info(`  Purged ${purged} remaining dead letter(s)`);
+    } catch (error) {
+      logger.error(`\n✗ Dead-letter error: ${error.message}`);
+    } finally {
+      unregisterHandler('import');
+    }
+
+    logger.info('\n' + '='.repeat(70));
+    logger.info('DEMONSTRATION COMPLETE');
+    logger.info('='.repeat(70) + '\n');
 
   } catch (error) {
-    console.error('Fatal error:', error);
+    logger.error(`Fatal error: ${error.stack || error}`);
     process.exit(1);
   }
 }
@@ -476,7 +4066,7 @@ async function main() {
 // Run the main function
 if (require.main === module) {
   main().catch((error) => {
-    console.error('Unhandled error:', error);
+    logger.error(`Unhandled error: ${error.stack || error}`);
     process.exit(1);
   });
 }
@@ -485,26 +4075,126 @@ if (require.main === module) {
 module.exports = {
   // Callback-based
   processTaskCallback,
+  processTaskCallbackWithRetry,
   processTasksCallbacks,
+  processTasksPoolCallbacks,
   
   // Promise-based
   processTaskPromise,
+  processTaskPromiseWithRetry,
   processTasksPromises,
   processTasksParallel,
+  processTasksPool,
+  processTasksAllSettled,
+  processTasksAny,
   processTasksRace,
   
   // Async/await
   processTaskAsync,
+  processTaskWithRetry,
   processTasksAsyncAwait,
   processTasksParallelAsync,
+  processTasksPoolAsync,
+  processTasksAllSettledAsync,
+  processTasksAnyAsync,
   processTasksRaceAsync,
   
+  // Dependency graph
+  processTasksGraph,
+  validateDependencies,
+  
+  // Durable execution
+  processTasksDurable,
+  JobQueue,
+  
+  // Recurring schedules
+  createScheduler,
+  upcomingRuns,
+  
+  // Lifecycle events
+  TaskRunner,
+  
+  // Run control
+  RunHandle,
+  
+  // Rate limits
+  setRateLimit,
+  clearRateLimit,
+  
+  // Circuit breakers
+  setCircuitBreaker,
+  clearCircuitBreaker,
+  circuitBreakers,
+  
+  // Task handlers
+  registerHandler,
+  unregisterHandler,
+  getHandler,
+  configureWorkerPool,
+  closeWorkerPool,
+  
+  // Idempotency keys
+  configureIdempotency,
+  forgetIdempotencyKey,
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  
+  // Result cache
+  configureResultCache,
+  invalidateCache,
+  clearResultCache,
+  MemoryResultCache,
+  FileResultCache,
+  
+  // Metrics
+  metrics,
+  METRICS_CONTENT_TYPE,
+  handleMetricsRequest,
+  startMetricsServer,
+  
+  // Logging
+  setLogger,
+  Logger,
+  silentLogger,
+  
+  // Tracing
+  configureTracing,
+  flushTracing,
+  startSpan,
+  MemorySpanExporter,
+  FileSpanExporter,
+  
+  // Dead letters
+  configureDeadLetters,
+  listDeadLetters,
+  inspectDeadLetter,
+  requeueDeadLetter,
+  purgeDeadLetters,
+  MemoryDeadLetterStore,
+  FileDeadLetterStore,
+  
+  // Time
+  setClock,
+  systemClock,
+  VirtualClock,
+  
   // Utilities
   delay,
   validateTask,
+  validateTaskFile,
+  createTaskResult,
+  serializeError,
+  resolveTaskPriority,
+  createTaskQueue,
+  PRIORITY_LEVELS,
+  resolveRetryPolicy,
+  computeRetryDelay,
   
   // Error classes
   TaskProcessingError,
-  TaskValidationError
+  TaskValidationError,
+  TaskTimeoutError,
+  TaskCancelledError,
+  CircuitOpenError
 };
 
@@ -0,0 +1,383 @@
+// ============================================================================
+// TASK FILE SCHEMA
+// ============================================================================
+//
+// Declarative description of a task file (tasks.json) and a checker that
+// reports every problem at once, each with a JSON path such as `[3].duration`.
+// The module has no dependencies so the same checks run in Node (required by
+// taskRunner.js) and in the browser (loaded by index.html before app.js,
+// where it is exposed as `window.TaskSchema`).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TaskSchema = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PRIORITY_NAMES = ['high', 'medium', 'low'];
+  const BACKOFF_NAMES = ['fixed', 'exponential'];
+  const OVERLAP_NAMES = ['skip', 'queue', 'allow'];
+  const CATCH_UP_NAMES = ['none', 'latest', 'all'];
+
+  // ==========================================================================
+  // CRON FIELDS
+  // ==========================================================================
+  //
+  // Shared with scheduler.js, so a cron expression that passes the schema is
+  // one the scheduler can run.
+
+  const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+  ];
+
+  /**
+   * Parses one cron field such as "*", "5", "1-5", "*\/15" or "0,30"
+   * @param {string} source - Field text
+   * @param {Object} field - Entry of CRON_FIELDS
+   * @returns {Set<number>} Values the field matches
+   * @throws {Error} If the field is malformed or out of range
+   */
+  const parseCronField = (source, field) => {
+    const values = new Set();
+
+    source.split(',').forEach((part) => {
+      const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+      if (!match) {
+        throw new Error(`Invalid cron ${field.name} "${source}"`);
+      }
+
+      const [, range, stepText] = match;
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let [start, end] = range === '*'
+        ? [field.min, field.max]
+        : range.split('-').map(Number);
+      if (end === undefined) {
+        end = stepText === undefined ? start : field.max;
+      }
+
+      if (step < 1 || start < field.min || end > field.max || start > end) {
+        throw new Error(`Invalid cron ${field.name} "${source}" - values must be between ${field.min} and ${field.max}`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    });
+
+    return values;
+  };
+
+  // ==========================================================================
+  // RULES
+  // ==========================================================================
+  //
+  // A rule is a function (value) => reason, returning null when the value is
+  // valid. Array rules carry an `items` rule that is applied to each element.
+
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  const integer = ({ min = -Infinity } = {}) => (value) => {
+    if (!Number.isInteger(value) || value < min) {
+      return min === 0 ? 'must be a non-negative integer' : `must be an integer of at least ${min}`;
+    }
+    return null;
+  };
+
+  const number = ({ min = -Infinity, positive = false, max = Infinity } = {}) => (value) => {
+    if (!isNumber(value) || value < min || value > max || (positive && value <= 0)) {
+      if (positive) {
+        return 'must be a positive number';
+      }
+      if (max !== Infinity) {
+        return `must be a number between ${min} and ${max}`;
+      }
+      return min === 0 ? 'must be a non-negative number' : 'must be a number';
+    }
+    return null;
+  };
+
+  const string = ({ nonEmpty = false } = {}) => (value) => {
+    if (typeof value !== 'string' || (nonEmpty && value.trim() === '')) {
+      return nonEmpty ? 'must be a non-empty string' : 'must be a string';
+    }
+    return null;
+  };
+
+  const oneOf = (values) => (value) => {
+    return values.includes(value) ? null : `must be one of: ${values.join(', ')}`;
+  };
+
+  const boolean = () => (value) => (typeof value === 'boolean' ? null : 'must be a boolean');
+
+  /**
+   * Passes when any of the given rules passes; otherwise reports `reason`
+   */
+  const anyOf = (rules, reason) => (value) => {
+    return rules.some((rule) => rule(value) === null) ? null : reason;
+  };
+
+  const taskId = anyOf(
+    [integer({ min: 1 }), string({ nonEmpty: true })],
+    'must be a positive integer or a non-empty string'
+  );
+
+  const pattern = (regex, reason) => (value) => {
+    return typeof value === 'string' && regex.test(value.trim()) ? null : reason;
+  };
+
+  // Five fields, each parsed the way scheduler.js parses it
+  const cronExpression = (value) => {
+    const parts = typeof value === 'string' ? value.trim().split(/\s+/) : [];
+    if (parts.length !== CRON_FIELDS.length) {
+      return 'must be a cron expression with 5 fields: minute hour day-of-month month day-of-week';
+    }
+    for (let index = 0; index < parts.length; index++) {
+      try {
+        parseCronField(parts[index], CRON_FIELDS[index]);
+      } catch (error) {
+        return `must be a valid cron expression: ${error.message}`;
+      }
+    }
+    return null;
+  };
+
+  const interval = anyOf(
+    [number({ positive: true }), pattern(/^\d+(\.\d+)?\s*(ms|s|m|h|d)$/, 'invalid')],
+    'must be a positive number of ms or a duration such as "15m" (ms, s, m, h, d)'
+  );
+
+  const isObject = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object');
+
+  /**
+   * Marks a rule as applying to every item of an array
+   */
+  const arrayOf = (itemRule) => {
+    const rule = (value) => (Array.isArray(value) ? null : 'must be an array');
+    rule.items = itemRule;
+    return rule;
+  };
+
+  const stringMap = (value) => {
+    if (isObject(value) !== null || !Object.keys(value).every((key) => typeof value[key] === 'string')) {
+      return 'must be an object of string values';
+    }
+    return null;
+  };
+
+  // ==========================================================================
+  // SCHEMA
+  // ==========================================================================
+
+  /**
+   * Fields of a `schedule` given as an object
+   */
+  const SCHEDULE_SCHEMA = {
+    cron: { rule: cronExpression },
+    every: { rule: interval },
+    overlap: { rule: oneOf(OVERLAP_NAMES) },
+    catchUp: { rule: oneOf(CATCH_UP_NAMES) }
+  };
+
+  /**
+   * Fields of a `cache` policy given as an object
+   */
+  const CACHE_SCHEMA = {
+    ttl: { rule: interval },
+    key: { rule: string({ nonEmpty: true }) }
+  };
+
+  /**
+   * Fields a task may declare. Fields not listed here are passed through to
+   * handlers untouched (e.g. `input`). A field with `fields` is checked
+   * against that nested schema when its value is an object.
+   */
+  const TASK_SCHEMA = {
+    id: { required: true, rule: taskId },
+    name: { required: true, rule: string({ nonEmpty: true }) },
+    type: { rule: string({ nonEmpty: true }) },
+    duration: { rule: number({ min: 0 }) },
+    priority: {
+      rule: anyOf([number(), oneOf(PRIORITY_NAMES)], `must be a number or one of: ${PRIORITY_NAMES.join(', ')}`)
+    },
+    timeout: { rule: number({ positive: true }) },
+    retries: { rule: integer({ min: 0 }) },
+    backoff: { rule: oneOf(BACKOFF_NAMES) },
+    initialDelay: { rule: number({ min: 0 }) },
+    maxDelay: { rule: number({ min: 0 }) },
+    jitter: {
+      rule: anyOf([boolean(), number({ min: 0, max: 1 })], 'must be a boolean or a ratio between 0 and 1')
+    },
+    dependsOn: { rule: arrayOf(taskId) },
+    rateLimitKey: { rule: string({ nonEmpty: true }) },
+    idempotencyKey: { rule: string({ nonEmpty: true }) },
+    runIn: { rule: oneOf(['main', 'worker']) },
+    command: { rule: string({ nonEmpty: true }) },
+    args: { rule: arrayOf(string()) },
+    cwd: { rule: string({ nonEmpty: true }) },
+    env: { rule: stringMap },
+    stdin: { rule: string() },
+    expectedExitCodes: { rule: arrayOf(integer({ min: 0 })) },
+    maxOutput: { rule: integer({ min: 0 }) },
+    cache: {
+      rule: anyOf([boolean(), isObject], 'must be a boolean or an object with optional `ttl` and `key`'),
+      fields: CACHE_SCHEMA
+    },
+    schedule: {
+      // A string is reported with the cron problem it has
+      rule: (value) => (typeof value === 'string'
+        ? cronExpression(value)
+        : isObject(value) && 'must be a cron expression or an object with `cron` or `every`'),
+      fields: SCHEDULE_SCHEMA,
+      check: (schedule) => {
+        return (schedule.cron === undefined) === (schedule.every === undefined)
+          ? 'must declare exactly one of `cron` or `every`'
+          : null;
+      }
+    }
+  };
+
+  // ==========================================================================
+  // CHECKER
+  // ==========================================================================
+
+  const formatKey = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`);
+
+  /**
+   * Checks the fields of an object against a schema
+   * @param {Object} value - Object to check
+   * @param {Object} schema - Field descriptors, e.g. TASK_SCHEMA
+   * @param {string} path - JSON path of the object, e.g. "[3]"
+   * @param {Array<Object>} issues - Receives { path, reason } for each problem
+   */
+  const checkFields = (value, schema, path, issues) => {
+    Object.keys(schema).forEach((field) => {
+      const { required, rule, fields, check } = schema[field];
+      const fieldPath = `${path}${formatKey(field)}`;
+      const fieldValue = value[field];
+
+      if (fieldValue === undefined) {
+        if (required) {
+          issues.push({ path: fieldPath, reason: 'is required' });
+        }
+        return;
+      }
+
+      const reason = rule(fieldValue);
+      if (reason) {
+        issues.push({ path: fieldPath, reason });
+        return;
+      }
+      if (rule.items) {
+        fieldValue.forEach((item, index) => {
+          const itemReason = rule.items(item);
+          if (itemReason) {
+            issues.push({ path: `${fieldPath}[${index}]`, reason: itemReason });
+          }
+        });
+      }
+      if (fields && isObject(fieldValue) === null) {
+        const objectReason = check ? check(fieldValue) : null;
+        if (objectReason) {
+          issues.push({ path: fieldPath, reason: objectReason });
+        }
+        checkFields(fieldValue, fields, fieldPath, issues);
+      }
+    });
+  };
+
+  /**
+   * Checks one task against TASK_SCHEMA
+   * @param {*} task - Task entry
+   * @param {string} path - JSON path of the entry, e.g. "[3]"
+   * @param {Array<Object>} issues - Receives { path, reason } for each problem
+   */
+  const checkTask = (task, path, issues) => {
+    if (isObject(task) !== null) {
+      issues.push({ path, reason: 'must be an object' });
+      return;
+    }
+
+    checkFields(task, TASK_SCHEMA, path, issues);
+
+    if (isNumber(task.initialDelay) && isNumber(task.maxDelay) && task.maxDelay < task.initialDelay) {
+      issues.push({ path: `${path}.maxDelay`, reason: 'must not be lower than initialDelay' });
+    }
+    if (task.type === 'command' && task.command === undefined) {
+      issues.push({ path: `${path}.command`, reason: 'is required for tasks of type "command"' });
+    }
+  };
+
+  /**
+   * Checks a whole task file: every entry, duplicate ids and dependsOn
+   * references to ids that are not in the file. Cycles are left to the
+   * dependency graph, which can name the tasks involved.
+   * @param {*} tasks - Parsed task file
+   * @returns {Array<Object>} One { path, reason } per problem, empty when valid
+   */
+  const checkTaskFile = (tasks) => {
+    if (!Array.isArray(tasks)) {
+      return [{ path: '', reason: 'must be an array of tasks' }];
+    }
+    if (tasks.length === 0) {
+      return [{ path: '', reason: 'must contain at least one task' }];
+    }
+
+    const issues = [];
+    const firstIndexById = new Map();
+
+    tasks.forEach((task, index) => {
+      checkTask(task, `[${index}]`, issues);
+
+      if (task && typeof task === 'object' && task.id !== undefined) {
+        if (firstIndexById.has(task.id)) {
+          issues.push({
+            path: `[${index}].id`,
+            reason: `duplicates the id of [${firstIndexById.get(task.id)}]`
+          });
+        } else {
+          firstIndexById.set(task.id, index);
+        }
+      }
+    });
+
+    tasks.forEach((task, index) => {
+      if (task && Array.isArray(task.dependsOn)) {
+        task.dependsOn.forEach((dependencyId, position) => {
+          if (taskId(dependencyId) === null && !firstIndexById.has(dependencyId)) {
+            issues.push({
+              path: `[${index}].dependsOn[${position}]`,
+              reason: `references unknown task id ${JSON.stringify(dependencyId)}`
+            });
+          }
+        });
+      }
+    });
+
+    return issues;
+  };
+
+  /**
+   * Formats schema issues as an error message, one issue per line
+   * @param {Array<Object>} issues - Issues from checkTaskFile()
+   * @returns {string} Message such as "Task file has 2 problems:\n  [3].duration: must be ..."
+   */
+  const formatIssues = (issues) => {
+    const lines = issues.map(({ path, reason }) => `  ${path || '(root)'}: ${reason}`);
+    const count = issues.length === 1 ? '1 problem' : `${issues.length} problems`;
+    return `Task file has ${count}:\n${lines.join('\n')}`;
+  };
+
+  return {
+    TASK_SCHEMA,
+    CRON_FIELDS,
+    checkTaskFile,
+    formatIssues,
+    parseCronField
+  };
+});
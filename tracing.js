@@ -0,0 +1,255 @@
+// ============================================================================
+// TRACING (OPENTELEMETRY-COMPATIBLE SPANS)
+// ============================================================================
+//
+// A span records one timed operation: a run, a task, or one attempt of a task.
+// Spans of the same run share a trace id and point at their parent through
+// `parentSpanId`, so a trace viewer can show where the time of a run went.
+//
+// Finished spans are handed to an exporter, which implements async
+// export(spans) and optionally forceFlush(). Spans serialize to the span shape
+// of the OTLP/JSON protocol, so exported files can be loaded by tools that
+// read OpenTelemetry data.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { randomBytes } = require('crypto');
+const { clock } = require('./clock');
+const { WriteQueue } = require('./jsonFile');
+
+// Status codes and span kind as numbered in the OTLP protocol
+const STATUS_CODES = { UNSET: 0, OK: 1, ERROR: 2 };
+const SPAN_KIND_INTERNAL = 1;
+
+const SCOPE = { name: 'task-runner' };
+
+/**
+ * Milliseconds since the epoch as a decimal string of nanoseconds
+ * @param {number} ms - Timestamp in ms
+ * @returns {string}
+ */
+const toUnixNano = (ms) => (BigInt(Math.round(ms)) * 1000000n).toString();
+
+/**
+ * Wraps an attribute value in the OTLP AnyValue shape
+ * @param {*} value - String, number, boolean or array of those
+ * @returns {Object}
+ */
+const toAnyValue = (value) => {
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toAnyValue) } };
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    // int64 values are strings in OTLP/JSON
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+};
+
+/**
+ * Converts an attribute object to a list of OTLP key/value pairs, leaving out
+ * null and undefined values
+ * @param {Object} attributes - Attributes by name
+ * @returns {Array<Object>}
+ */
+const toKeyValues = (attributes) => {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+};
+
+/**
+ * One timed operation. Create spans with startSpan() and finish them with end().
+ */
+class Span {
+  /**
+   * @param {string} name - Operation name
+   * @param {Object} [options] - Span options
+   * @param {Object} [options.parent] - Parent span or its context(); omit to start a new trace
+   * @param {Object} [options.attributes] - Attributes by name
+   * @param {Function} [options.onEnd] - Called with the span once it ends
+   */
+  constructor(name, options = {}) {
+    const { parent = null, attributes = {}, onEnd = () => {} } = options;
+    const parentContext = parent instanceof Span ? parent.context() : parent;
+
+    this.name = name;
+    this.traceId = parentContext ? parentContext.traceId : randomBytes(16).toString('hex');
+    this.spanId = randomBytes(8).toString('hex');
+    this.parentSpanId = parentContext ? parentContext.spanId : null;
+    this.startTime = clock.now();
+    this.endTime = null;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: 'UNSET', message: '' };
+    this.onEnd = onEnd;
+  }
+
+  /**
+   * Identifiers needed to start child spans, e.g. in another runner
+   * @returns {Object} { traceId, spanId }
+   */
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  /**
+   * @param {string} key - Attribute name
+   * @param {*} value - String, number, boolean or array of those
+   * @returns {Span} This span
+   */
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  /**
+   * Records something that happened during the span, e.g. a scheduled retry
+   * @param {string} name - Event name
+   * @param {Object} [attributes] - Event attributes
+   * @returns {Span} This span
+   */
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: clock.now(), attributes });
+    return this;
+  }
+
+  /**
+   * Finishes the span; later calls are ignored
+   * @param {Error|null} [error] - Marks the span as failed and records the error as an exception event
+   */
+  end(error = null) {
+    if (this.endTime !== null) {
+      return;
+    }
+    if (error) {
+      this.status = { code: 'ERROR', message: error.message };
+      this.addEvent('exception', {
+        'exception.type': error.name,
+        'exception.message': error.message,
+        'exception.stacktrace': error.stack
+      });
+    } else {
+      this.status = { code: 'OK', message: '' };
+    }
+    this.endTime = clock.now();
+    this.onEnd(this);
+  }
+
+  /**
+   * The span in the OTLP/JSON span shape
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: toUnixNano(this.startTime),
+      endTimeUnixNano: toUnixNano(this.endTime === null ? clock.now() : this.endTime),
+      attributes: toKeyValues(this.attributes),
+      events: this.events.map((event) => ({
+        timeUnixNano: toUnixNano(event.time),
+        name: event.name,
+        attributes: toKeyValues(event.attributes)
+      })),
+      status: {
+        code: STATUS_CODES[this.status.code],
+        ...(this.status.message ? { message: this.status.message } : {})
+      }
+    };
+  }
+}
+
+/**
+ * Wraps spans in an OTLP/JSON ExportTraceServiceRequest
+ * @param {Array<Span>} spans - Finished spans
+ * @param {Object} [resource] - Resource attributes, e.g. { 'service.name': 'billing' }
+ * @returns {Object}
+ */
+const toOtlpRequest = (spans, resource = {}) => {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toKeyValues(resource) },
+      scopeSpans: [{ scope: SCOPE, spans: spans.map((span) => span.toJSON()) }]
+    }]
+  };
+};
+
+/**
+ * Keeps finished spans in memory, e.g. to inspect them in tests or print them
+ */
+class MemorySpanExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  /**
+   * @param {Array<Span>} spans - Finished spans
+   * @returns {Promise<void>}
+   */
+  async export(spans) {
+    this.spans.push(...spans);
+  }
+
+  /**
+   * Forgets every span
+   */
+  reset() {
+    this.spans = [];
+  }
+}
+
+/**
+ * Appends spans to a file as JSON lines, one OTLP/JSON
+ * ExportTraceServiceRequest per line - the format the OpenTelemetry
+ * Collector's file exporter writes and its file receiver reads
+ */
+class FileSpanExporter {
+  /**
+   * @param {string} filePath - File to append to; created on first export
+   * @param {Object} [options] - Exporter options
+   * @param {Object} [options.resource] - Resource attributes
+   */
+  constructor(filePath, options = {}) {
+    if (typeof filePath !== 'string' || filePath === '') {
+      throw new Error('Span export file path must be a non-empty string');
+    }
+    this.filePath = path.resolve(filePath);
+    this.resource = { 'service.name': 'task-runner', ...options.resource };
+    this.writing = new WriteQueue();
+  }
+
+  /**
+   * Appends the spans after any write still in progress
+   * @param {Array<Span>} spans - Finished spans
+   * @returns {Promise<void>}
+   */
+  export(spans) {
+    const line = `${JSON.stringify(toOtlpRequest(spans, this.resource))}\n`;
+    return this.writing.run(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, line);
+    });
+  }
+
+  /**
+   * Waits until every exported span is on disk
+   * @returns {Promise<void>}
+   */
+  forceFlush() {
+    return this.writing.idle();
+  }
+}
+
+module.exports = {
+  Span,
+  MemorySpanExporter,
+  FileSpanExporter,
+  toOtlpRequest
+};
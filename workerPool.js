@@ -0,0 +1,253 @@
+// ============================================================================
+// WORKER THREAD POOL
+// ============================================================================
+//
+// Runs handler modules in a pool of worker_threads so CPU-bound tasks do not
+// block the main event loop. This file is both the pool (main thread) and the
+// worker script: a worker loads the handler module named in each job, calls
+// it with the task and posts the result back. Task and result are transferred
+// with the structured clone algorithm, so both must be cloneable.
+
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+/**
+ * Converts an error into a cloneable object that keeps its stack
+ * @param {Error} error - Error thrown in the worker
+ * @returns {Object} { name, message, stack, code }
+ */
+const toTransferableError = (error) => {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error), stack: undefined };
+  }
+  return { name: error.name, message: error.message, stack: error.stack, code: error.code };
+};
+
+/**
+ * Rebuilds an error posted by a worker, keeping the worker's name and stack
+ * @param {Object} transferred - Result of toTransferableError()
+ * @returns {Error}
+ */
+const fromTransferableError = (transferred) => {
+  const error = new Error(transferred.message);
+  error.name = transferred.name;
+  if (transferred.stack) {
+    error.stack = transferred.stack;
+  }
+  if (transferred.code !== undefined) {
+    error.code = transferred.code;
+  }
+  return error;
+};
+
+// ============================================================================
+// WORKER SIDE
+// ============================================================================
+
+if (!isMainThread && parentPort) {
+  parentPort.on('message', async ({ jobId, modulePath, task, attempt }) => {
+    try {
+      const handler = require(modulePath);
+      if (typeof handler !== 'function') {
+        throw new TypeError(`Handler module ${modulePath} must export a function`);
+      }
+      const output = await handler(task, { attempt });
+      parentPort.postMessage({ jobId, output: output === undefined ? null : output });
+    } catch (error) {
+      parentPort.postMessage({ jobId, error: toTransferableError(error) });
+    }
+  });
+}
+
+// ============================================================================
+// MAIN THREAD SIDE
+// ============================================================================
+
+/**
+ * Fixed-size pool of worker threads. Workers are started on demand and do not
+ * keep the process alive while idle.
+ */
+class WorkerPool {
+  /**
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.size] - Maximum number of workers (defaults to CPU count - 1, at least 1)
+   */
+  constructor(options = {}) {
+    const { size = Math.max(1, os.cpus().length - 1) } = options;
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('Worker pool size must be a positive integer');
+    }
+
+    this.size = size;
+    this.workers = new Set();
+    this.idle = [];
+    this.waiting = [];
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Runs a handler module in a worker
+   * @param {string} modulePath - Absolute path of a module exporting (task, ctx) => result
+   * @param {Object} task - Task passed to the handler
+   * @param {Object} [options] - Job options
+   * @param {number} [options.attempt=1] - Attempt number passed to the handler
+   * @param {AbortSignal} [options.signal] - Terminates the worker running the job when aborted
+   * @returns {Promise<*>} Resolves with the handler's result
+   */
+  run(modulePath, task, options = {}) {
+    const { attempt = 1, signal } = options;
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error('Worker job was aborted'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        message: { jobId: this.nextJobId++, modulePath, task, attempt },
+        resolve,
+        reject,
+        signal,
+        worker: null,
+        onAbort: null
+      };
+
+      if (signal) {
+        job.onAbort = () => {
+          if (job.worker) {
+            // The handler may be stuck in a CPU loop - terminating is the only way to stop it
+            this.discard(job.worker);
+          } else {
+            this.waiting = this.waiting.filter((entry) => entry !== job);
+          }
+          reject(new Error('Worker job was aborted'));
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      this.waiting.push(job);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Number of live workers
+   * @returns {number}
+   */
+  get workerCount() {
+    return this.workers.size;
+  }
+
+  /**
+   * Terminates every worker. Jobs still waiting are rejected.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.waiting.forEach((job) => this.settle(job, new Error('Worker pool was closed')));
+    this.waiting = [];
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  /**
+   * Hands waiting jobs to idle workers, starting workers up to `size`
+   * @private
+   */
+  dispatch() {
+    while (this.waiting.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.size >= this.size) {
+          return;
+        }
+        worker = this.spawn();
+      }
+
+      const job = this.waiting.shift();
+      try {
+        // Throws DataCloneError if the task holds something that cannot be cloned
+        worker.postMessage(job.message);
+      } catch (error) {
+        worker.unref();
+        this.idle.push(worker);
+        this.settle(job, error);
+        continue;
+      }
+      job.worker = worker;
+      worker.job = job;
+      worker.ref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  spawn() {
+    const worker = new Worker(__filename);
+    worker.job = null;
+
+    worker.on('message', ({ jobId, output, error }) => {
+      const { job } = worker;
+      if (!job || job.message.jobId !== jobId) {
+        return;
+      }
+      worker.job = null;
+      this.settle(job, error ? fromTransferableError(error) : null, output);
+
+      worker.unref();
+      this.idle.push(worker);
+      this.dispatch();
+    });
+
+    // A crash (e.g. out of memory) ends the worker; fail its job and start over
+    const onCrash = (error) => {
+      const { job } = worker;
+      worker.job = null;
+      this.workers.delete(worker);
+      this.idle = this.idle.filter((entry) => entry !== worker);
+      if (job) {
+        this.settle(job, error);
+      }
+      this.dispatch();
+    };
+    worker.on('error', onCrash);
+    worker.on('exit', (code) => {
+      if (this.workers.has(worker)) {
+        onCrash(new Error(`Worker stopped with exit code ${code}`));
+      }
+    });
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  /**
+   * Removes a worker from the pool and terminates it
+   * @private
+   */
+  discard(worker) {
+    worker.job = null;
+    this.workers.delete(worker);
+    this.idle = this.idle.filter((entry) => entry !== worker);
+    worker.terminate();
+    this.dispatch();
+  }
+
+  /**
+   * @private
+   */
+  settle(job, error, output) {
+    if (job.signal) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(output);
+    }
+  }
+}
+
+module.exports = {
+  WorkerPool
+};